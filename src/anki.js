@@ -0,0 +1,338 @@
+/**
+ * Anki Interchange for Habla Español
+ * Reads Anki "Notes in Plain Text" exports (tab- or comma-separated,
+ * front/back/tags, optional scheduling columns) into phrases, and writes
+ * phrases with their progress back out in a form Anki imports. Works
+ * entirely offline.
+ */
+
+// Imported phrases get ids from here up, clear of the bundled ones
+const CUSTOM_ID_BASE = 100000;
+
+// Category for notes without a usable tag
+const IMPORTED_CATEGORY = 'imported';
+
+// Anki's own tags, never turned into categories
+const ANKI_SYSTEM_TAGS = ['leech', 'marked'];
+
+const CATEGORY_COLORS = ['#0ea5e9', '#14b8a6', '#a855f7', '#f43f5e', '#84cc16', '#f97316'];
+
+// Column names recognised in a "#columns:" header, lower-cased
+const ANKI_COLUMNS = {
+  front: ['front', 'text', 'spanish', 'español'],
+  back: ['back', 'english', 'meaning'],
+  tags: ['tags'],
+  interval: ['interval', 'ivl'],
+  ease: ['ease', 'factor'],
+  due: ['due'],
+  reviews: ['reviews', 'reps'],
+  lapses: ['lapses'],
+};
+
+const ANKI_EXPORT_COLUMNS = ['Front', 'Back', 'Tags', 'Interval', 'Ease', 'Due', 'Reviews', 'Lapses'];
+
+class AnkiText {
+  /**
+   * Split a text export into rows of fields, honouring "#key:value"
+   * header lines and quoted fields (which may hold separators, doubled
+   * quotes and line breaks)
+   * @param {string} text
+   * @returns {Object} { rows, headers } with headers such as
+   *   { separator: '\t', columns: ['Front', 'Back'], 'tags column': '3' }
+   */
+  static parse(text) {
+    const headers = {};
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+
+    let start = 0;
+    while (start < lines.length && lines[start].startsWith('#')) {
+      const match = /^#([^:]+):(.*)$/.exec(lines[start]);
+      if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+      start++;
+    }
+
+    const body = lines.slice(start).join('\n');
+    const separator = AnkiText.separator(headers.separator, body);
+    const rows = AnkiText.splitRows(body, separator).filter(row => row.some(field => field.trim() !== ''));
+
+    if (headers.columns) {
+      headers.columns = headers.columns.split(separator).map(c => c.trim());
+    }
+    headers.separator = separator;
+    return { rows, headers };
+  }
+
+  /**
+   * Resolve the "#separator:" header, or guess from the first line
+   * @param {string} [name]
+   * @param {string} body
+   * @returns {string}
+   */
+  static separator(name, body) {
+    const named = { tab: '\t', comma: ',', semicolon: ';', space: ' ', pipe: '|', colon: ':' };
+    if (name) return named[name.toLowerCase()] || name;
+    const firstLine = body.split('\n', 1)[0];
+    return firstLine.includes('\t') ? '\t' : (firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',');
+  }
+
+  static splitRows(body, separator) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+      if (quoted) {
+        if (char === '"' && body[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Strip the HTML Anki keeps in fields and decode common entities
+   * @param {string} value
+   * @returns {string}
+   */
+  static plain(value) {
+    return (value || '')
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Where each known field sits in a row: from "#columns:", or front,
+   * back and tags in that order (tags at "#tags column:" if given)
+   * @param {Object} headers
+   * @returns {Object} { front, back, tags, interval, ... } column indexes
+   */
+  static columnMap(headers) {
+    const map = { front: 0, back: 1, tags: 2 };
+
+    if (Array.isArray(headers.columns)) {
+      for (const key of Object.keys(map)) delete map[key];
+      headers.columns.forEach((name, index) => {
+        const field = Object.keys(ANKI_COLUMNS).find(key => ANKI_COLUMNS[key].includes(name.toLowerCase()));
+        if (field && map[field] === undefined) map[field] = index;
+      });
+      if (map.front === undefined) map.front = 0;
+      if (map.back === undefined) map.back = 1;
+    }
+    if (headers['tags column']) {
+      map.tags = Number(headers['tags column']) - 1;
+    }
+    return map;
+  }
+
+  static slug(text) {
+    return text.toLowerCase()
+      .normalize('NFD').replace(/[̀-ͯ]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || IMPORTED_CATEGORY;
+  }
+
+  /**
+   * Turn a parsed export into phrases. Notes whose Spanish text is already
+   * a phrase are skipped, and so are notes without an English side, which
+   * would have nothing to prompt with. The first tag that names a
+   * category decides it, and unknown tags become new categories.
+   * @param {Object} parsed - From parse()
+   * @param {Object} deck - { phrases, categories } already known
+   * @param {Object} [options]
+   *   frontIs: 'spanish' (default) or 'english'
+   *   now: Timestamp for converting scheduling fields
+   * @returns {Object} { phrases, categories, progress, skipped, incomplete }
+   *   where skipped counts empty and known notes, incomplete those
+   *   missing their English side
+   */
+  static toPhrases(parsed, deck, options = {}) {
+    const columns = AnkiText.columnMap(parsed.headers);
+    const frontIsEnglish = options.frontIs === 'english';
+    const now = options.now || Date.now();
+
+    const known = new Set(deck.phrases.map(p => AnkiText.plain(p.text).toLowerCase()));
+    const categories = [];
+    const allCategories = [...deck.categories];
+    let nextId = deck.phrases.reduce((max, p) => Math.max(max, p.id), CUSTOM_ID_BASE - 1) + 1;
+
+    const phrases = [];
+    const progress = [];
+    let skipped = 0;
+    let incomplete = 0;
+
+    for (const row of parsed.rows) {
+      const front = AnkiText.plain(row[columns.front]);
+      const back = AnkiText.plain(row[columns.back]);
+      const text = frontIsEnglish ? back : front;
+      const english = frontIsEnglish ? front : back;
+
+      if (!text || known.has(text.toLowerCase())) {
+        skipped++;
+        continue;
+      }
+      if (!english) {
+        incomplete++;
+        continue;
+      }
+      known.add(text.toLowerCase());
+
+      const tags = columns.tags !== undefined ? (row[columns.tags] || '').split(/\s+/).filter(Boolean) : [];
+      const category = AnkiText.categoryFor(tags, allCategories, categories);
+      const phrase = { id: nextId++, text, english, category, complexity: AnkiText.complexity(text) };
+      phrases.push(phrase);
+
+      const scheduled = AnkiText.toProgress(phrase.id, row, columns, now);
+      if (scheduled) progress.push(scheduled);
+    }
+
+    return { phrases, categories, progress, skipped, incomplete };
+  }
+
+  /**
+   * Find or create the category for a note's tags
+   * @param {Array<string>} tags
+   * @param {Array} allCategories - Known categories; new ones are added
+   * @param {Array} created - Receives categories created here
+   * @returns {string} Category id
+   */
+  static categoryFor(tags, allCategories, created) {
+    const usable = tags.filter(tag => !ANKI_SYSTEM_TAGS.includes(tag.toLowerCase()));
+    const tag = usable[0] ? usable[0].split('::').pop() : IMPORTED_CATEGORY;
+    const id = AnkiText.slug(tag);
+
+    const existing = allCategories.find(c => c.id === id || AnkiText.slug(c.name) === id);
+    if (existing) return existing.id;
+
+    const category = {
+      id,
+      name: id === IMPORTED_CATEGORY ? 'Imported' : tag.replace(/_/g, ' '),
+      color: CATEGORY_COLORS[created.length % CATEGORY_COLORS.length],
+      emoji: '🗂️',
+    };
+    allCategories.push(category);
+    created.push(category);
+    return id;
+  }
+
+  /**
+   * Rough complexity (0-3) from word count, for the curriculum order
+   * @param {string} text
+   * @returns {number}
+   */
+  static complexity(text) {
+    const words = text.split(/\s+/).length;
+    if (words <= 2) return 0;
+    if (words <= 4) return 1;
+    if (words <= 7) return 2;
+    return 3;
+  }
+
+  /**
+   * A progress record for the phrase's picture card from optional
+   * Interval, Ease, Due, Reviews and Lapses columns
+   * @returns {Object|null} Null when the note carries no interval
+   */
+  static toProgress(phraseId, row, columns, now) {
+    const field = (name) => (columns[name] !== undefined ? AnkiText.plain(row[columns[name]]) : '');
+    const interval = Number(field('interval'));
+    if (!interval || interval <= 0) return null;
+
+    // Anki stores ease in permille (2500 = 2.5)
+    const ease = Number(field('ease'));
+    const easeFactor = ease > 10 ? ease / 1000 : (ease || 2.5);
+    const due = field('due');
+    const dueAt = /^\d{4}-\d{2}-\d{2}$/.test(due) ? new Date(`${due}T00:00:00`).getTime() : now + interval * 24 * 60 * 60 * 1000;
+    const reviews = Number(field('reviews')) || 1;
+
+    return {
+      phraseId,
+      easeFactor: Math.max(1.3, easeFactor),
+      interval,
+      repetitions: 1,
+      nextReview: dueAt,
+      lastReview: dueAt - interval * 24 * 60 * 60 * 1000,
+      totalReviews: reviews,
+      correctReviews: reviews,
+      state: 'review',
+      step: 0,
+      lapses: Number(field('lapses')) || 0,
+      failures: [],
+      leech: false,
+      suspended: false,
+      buriedUntil: 0,
+      flag: null,
+    };
+  }
+
+  /**
+   * Write phrases and their picture-card progress as a tab-separated
+   * file Anki imports, with the category as tag
+   * @param {Array} phrases
+   * @param {Map} progressById - Progress records by phrase id
+   * @returns {string}
+   */
+  static export(phrases, progressById) {
+    const clean = (value) => String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ');
+    const lines = [
+      '#separator:tab',
+      '#html:false',
+      '#tags column:3',
+      `#columns:${ANKI_EXPORT_COLUMNS.join('\t')}`,
+    ];
+
+    for (const phrase of phrases) {
+      const progress = progressById.get(phrase.id);
+      const scheduled = progress && progress.totalReviews > 0 && progress.state !== 'new';
+      lines.push([
+        phrase.text,
+        phrase.english || '',
+        (phrase.category || '').replace(/\s+/g, '_'),
+        scheduled ? progress.interval : '',
+        scheduled ? Math.round(progress.easeFactor * 1000) : '',
+        scheduled ? DailyQuota.dayKey(progress.nextReview) : '',
+        scheduled ? progress.totalReviews : '',
+        scheduled ? progress.lapses || 0 : '',
+      ].map(clean).join('\t'));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AnkiText, CUSTOM_ID_BASE, IMPORTED_CATEGORY };
+} else if (typeof window !== 'undefined') {
+  window.AnkiText = AnkiText;
+  window.CUSTOM_ID_BASE = CUSTOM_ID_BASE;
+}
@@ -1,47 +1,765 @@
 /**
  * Background Service Worker for Habla Español
- * Handles extension lifecycle and bypass management
+ * Handles extension lifecycle, gated site registration and bypass management
  */
 
+importScripts('gated-sites.js', 'daily-quota.js', 'gate-schedule.js', 'emergency-tokens.js', 'migrations.js',
+  'storage.js', 'sync.js');
+
+const GATE_SCRIPT_ID = 'habla-gate';
+const REGATE_ALARM = 'habla-regate';
+const SCHEDULE_ALARM = 'habla-schedule';
+const SYNC_ALARM = 'habla-sync';
+const SYNC_PERIOD_MIN = 15;
+
+/**
+ * Load the settings object
+ * @returns {Promise<Object>}
+ */
+async function getSettings() {
+  const data = await chrome.storage.local.get('settings');
+  return data.settings || {};
+}
+
+/**
+ * Load the gated site list, falling back to the defaults
+ * @returns {Promise<Array>}
+ */
+async function getGatedSites() {
+  const data = await chrome.storage.local.get('gatedSites');
+  return Array.isArray(data.gatedSites) ? data.gatedSites : DEFAULT_GATED_SITES;
+}
+
+/**
+ * Persist the gated site list and re-register the content script for it
+ * @param {Array} sites
+ * @returns {Promise<void>}
+ */
+async function saveGatedSites(sites) {
+  await chrome.storage.local.set({ gatedSites: sites });
+  await registerGateScript(sites);
+}
+
+/**
+ * Register content-script.js for every enabled gated site pattern. While
+ * the gate is switched off, paused or outside its schedule the script is
+ * not injected at all.
+ * @param {Array} [sites]
+ * @returns {Promise<void>}
+ */
+async function registerGateScript(sites) {
+  const gating = GateSchedule.isGating(await getSettings());
+  const matches = gating ? GatedSites.getMatches(sites || await getGatedSites()) : [];
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [GATE_SCRIPT_ID] });
+
+  if (matches.length === 0) {
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [GATE_SCRIPT_ID] });
+    }
+    return;
+  }
+
+  const script = {
+    id: GATE_SCRIPT_ID,
+    matches,
+    js: ['src/content-script.js'],
+    runAt: 'document_start',
+    persistAcrossSessions: true,
+  };
+
+  if (registered.length > 0) {
+    await chrome.scripting.updateContentScripts([script]);
+  } else {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+}
+
+/**
+ * Load the per-site bypass map (site id -> expiry timestamp)
+ * @returns {Promise<Object>}
+ */
+async function getBypasses() {
+  const data = await chrome.storage.local.get('bypasses');
+  return data.bypasses || {};
+}
+
+/**
+ * Unlock gated sites until a given time, dropping expired entries
+ * @param {string|Array<string>} siteIds
+ * @param {number} until - Expiry timestamp
+ * @returns {Promise<void>}
+ */
+async function setBypass(siteIds, until) {
+  const now = Date.now();
+  const bypasses = await getBypasses();
+  const updated = {};
+  for (const [id, expiry] of Object.entries(bypasses)) {
+    if (expiry > now) updated[id] = expiry;
+  }
+  for (const siteId of [].concat(siteIds)) {
+    updated[siteId] = until;
+  }
+  await chrome.storage.local.set({ bypasses: updated });
+  await scheduleRegate();
+}
+
+/**
+ * Set an alarm for the next bypass expiry so open tabs can be re-gated
+ * @returns {Promise<void>}
+ */
+async function scheduleRegate() {
+  const now = Date.now();
+  const bypasses = await getBypasses();
+  const next = Math.min(...Object.values(bypasses).filter(until => until > now));
+
+  if (Number.isFinite(next)) {
+    await chrome.alarms.create(REGATE_ALARM, { when: next });
+  } else {
+    await chrome.alarms.clear(REGATE_ALARM);
+  }
+}
+
+/**
+ * Ask a tab's content script to re-check its gate, injecting it first
+ * if the tab was never gated (opened before the site was added, or
+ * reached through an in-app navigation)
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function regateTab(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'REGATE' });
+  } catch (e) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['src/content-script.js'],
+    }).catch((error) => {
+      console.warn('Could not gate tab', tabId, error.message);
+    });
+  }
+}
+
+/**
+ * Re-gate every open tab on a gated site whose bypass has expired
+ * @returns {Promise<void>}
+ */
+async function regateOpenTabs() {
+  const [sites, bypasses, settings] = await Promise.all([getGatedSites(), getBypasses(), getSettings()]);
+  const matches = GatedSites.getMatches(sites);
+  if (matches.length === 0) return;
+
+  const now = Date.now();
+  const gating = GateSchedule.isGating(settings, now);
+  const tabs = await chrome.tabs.query({ url: matches });
+  for (const tab of tabs) {
+    const site = GatedSites.findSite(sites, tab.url);
+    if (!site) continue;
+
+    if (!gating) {
+      // Gate switched off — let existing overlays remove themselves
+      chrome.tabs.sendMessage(tab.id, { type: 'REGATE' }).catch(() => {});
+    } else if (!(bypasses[site.id] > now)) {
+      await regateTab(tab.id);
+    }
+  }
+}
+
+/**
+ * Apply the master switch, pause and schedule: (un)register the content
+ * script, update open tabs and wake up again at the next window edge
+ * @returns {Promise<void>}
+ */
+async function applyGateSchedule() {
+  await registerGateScript();
+  await regateOpenTabs();
+
+  const next = GateSchedule.nextChange(await getSettings());
+  if (next) {
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+  } else {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+/**
+ * Resolve the gated site a message refers to, by id or by URL
+ * @param {Object} message - { siteId } or { url }
+ * @returns {Promise<Object|null>}
+ */
+async function resolveSite(message) {
+  const sites = await getGatedSites();
+  if (message.siteId) {
+    return sites.find(s => s.id === message.siteId) || null;
+  }
+  return message.url ? GatedSites.findSite(sites, message.url) : null;
+}
+
+// Serializes quiz lock updates so two tabs can't both claim at once
+let quizLockQueue = Promise.resolve();
+
+/**
+ * Run a quiz lock update after the ones already queued
+ * @param {Function} fn - Async update
+ * @returns {Promise<*>} Result of fn
+ */
+function withQuizLock(fn) {
+  const result = quizLockQueue.then(fn);
+  quizLockQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check whether a tab is still showing a quiz
+ * @param {number} tabId
+ * @returns {Promise<boolean>}
+ */
+async function tabHasQuiz(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { type: 'HAS_QUIZ' });
+    return Boolean(response && response.active);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Let one tab at a time show the quiz, so the same phrase isn't asked
+ * (and recorded) in several tabs at once. A stale lock from a tab that
+ * closed or navigated away is taken over.
+ * @param {number} tabId
+ * @param {string} siteId
+ * @param {string} nonce - Shared with the quiz iframe to authenticate its result
+ * @returns {Promise<Object>} { granted, tabId }
+ */
+function claimQuiz(tabId, siteId, nonce) {
+  return withQuizLock(async () => {
+    const { quizLock } = await chrome.storage.session.get('quizLock');
+    if (quizLock && quizLock.tabId !== tabId && await tabHasQuiz(quizLock.tabId)) {
+      return { granted: false, tabId: quizLock.tabId };
+    }
+    await chrome.storage.session.set({ quizLock: { tabId, siteId, nonce, claimedAt: Date.now() } });
+    return { granted: true, tabId };
+  });
+}
+
+/**
+ * Release the quiz lock held by a tab and let waiting tabs re-check
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+function releaseQuiz(tabId) {
+  return withQuizLock(async () => {
+    const { quizLock } = await chrome.storage.session.get('quizLock');
+    if (!quizLock || quizLock.tabId !== tabId) return false;
+    await chrome.storage.session.remove('quizLock');
+    return true;
+  }).then((released) => {
+    if (released) return regateOpenTabs();
+  });
+}
+
+/**
+ * Check that a message really comes from a quiz the user is taking. A
+ * quiz embedded in a gated page must present the nonce its tab claimed
+ * the quiz with; a quiz opened standalone in its own tab is an extension
+ * page and is trusted.
+ * @param {Object} message - { nonce } or { url }
+ * @param {Object} sender
+ * @returns {Promise<Object>} { site } or { error }
+ */
+async function authenticateQuiz(message, sender) {
+  if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL('src/quiz.html'))) {
+    return { error: 'Not a quiz page' };
+  }
+
+  let site;
+  if (sender.frameId === 0) {
+    site = await resolveSite({ url: message.url });
+  } else {
+    const { quizLock } = await chrome.storage.session.get('quizLock');
+    if (!quizLock || !sender.tab || quizLock.tabId !== sender.tab.id || quizLock.nonce !== message.nonce) {
+      return { error: 'Quiz handshake failed' };
+    }
+    site = await resolveSite({ siteId: quizLock.siteId });
+  }
+
+  return site ? { site } : { error: 'Not a gated site' };
+}
+
+/**
+ * Record a quiz answer and, once the gate session's N phrases are
+ * answered, grant the bypass it earned. The cooldown comes from the
+ * session result and the settings here, never from the message.
+ * @param {Object} message - { outcome, nonce } or { outcome, url }
+ * @param {Object} sender
+ * @returns {Promise<Object>}
+ */
+async function completeQuiz(message, sender) {
+  if (!['correct', 'incorrect', 'limit'].includes(message.outcome)) {
+    // Skipping costs an emergency token (USE_EMERGENCY_TOKEN) instead
+    return { error: 'Unknown quiz outcome' };
+  }
+
+  const { site, error } = await authenticateQuiz(message, sender);
+  if (error) {
+    return { error };
+  }
+
+  const settings = await getSettings();
+  if (message.outcome === 'limit') {
+    return unlockForDailyLimit(site, settings, sender);
+  }
+  if (settings.gateMode === 'quota') {
+    return recordQuotaAnswer(message, site, settings);
+  }
+
+  const session = await recordSessionAnswer(sender.tab ? sender.tab.id : 'standalone', site, settings, message);
+  if (!session.finished) {
+    return { success: true, unlocked: false, siteId: site.id, session };
+  }
+
+  const results = { answered: session.answered, correct: session.correct };
+  const outcome = GatedSites.sessionOutcome(results, GatedSites.resolveSession(site, settings));
+  const until = Date.now() + GatedSites.cooldownFor(outcome, site, settings) * 60000;
+  await setBypass(site.id, until);
+  return { success: true, unlocked: true, siteId: site.id, until, outcome, session };
+}
+
+/**
+ * The daily caps on new phrases and reviews are reached and the quiz has
+ * nothing left to ask: let the user through as if the session was passed
+ * (or, in quota mode, as if the day was earned). The counts are checked
+ * here rather than trusted from the quiz.
+ * @param {Object} site
+ * @param {Object} settings
+ * @param {Object} sender
+ * @returns {Promise<Object>}
+ */
+async function unlockForDailyLimit(site, settings, sender) {
+  const { dailyCounts } = await chrome.storage.local.get('dailyCounts');
+  const counts = dailyCounts && dailyCounts.day === DailyQuota.dayKey() ? dailyCounts : { newCount: 0, reviewCount: 0 };
+  const newCapped = typeof settings.newPerDay === 'number' && counts.newCount >= settings.newPerDay;
+  const reviewsCapped = typeof settings.reviewsPerDay === 'number' && counts.reviewCount >= settings.reviewsPerDay;
+  if (!newCapped && !reviewsCapped) {
+    return { error: 'Daily limits not reached' };
+  }
+
+  if (sender.tab) {
+    await clearSession(sender.tab.id);
+  }
+
+  if (settings.gateMode === 'quota') {
+    const { quota } = await chrome.storage.local.get('quota');
+    const target = DailyQuota.target(settings);
+    const updated = { ...DailyQuota.current(quota), unlocked: true };
+    await chrome.storage.local.set({ quota: updated });
+
+    const until = DailyQuota.nextMidnight();
+    const sites = await getGatedSites();
+    await setBypass(sites.filter(s => s.enabled).map(s => s.id), until);
+    return { success: true, unlocked: true, siteId: site.id, until, quota: { ...updated, target } };
+  }
+
+  const until = Date.now() + GatedSites.cooldownFor('correct', site, settings) * 60000;
+  await setBypass(site.id, until);
+  return { success: true, unlocked: true, siteId: site.id, until, outcome: 'limit' };
+}
+
+/**
+ * Load this week's emergency token budget
+ * @param {Object} settings
+ * @returns {Promise<Object>} { remaining, allowance }
+ */
+async function getTokens(settings) {
+  const { emergencyTokens } = await chrome.storage.local.get('emergencyTokens');
+  return {
+    remaining: EmergencyTokens.remaining(emergencyTokens, settings),
+    allowance: EmergencyTokens.allowance(settings),
+  };
+}
+
+/**
+ * Spend an emergency token to get through the gate without answering.
+ * It isn't recorded as a review; the site unlocks for its passed
+ * cooldown and the bypass is added to the audit log.
+ * @param {Object} message - { nonce } or { url }
+ * @param {Object} sender
+ * @returns {Promise<Object>}
+ */
+async function useEmergencyToken(message, sender) {
+  const { site, error } = await authenticateQuiz(message, sender);
+  if (error) {
+    return { error };
+  }
+
+  const settings = await getSettings();
+  const now = Date.now();
+  const { emergencyTokens, bypassLog } = await chrome.storage.local.get(['emergencyTokens', 'bypassLog']);
+  const updated = EmergencyTokens.spend(emergencyTokens, settings, now);
+  if (!updated) {
+    return { error: 'No emergency bypasses left this week' };
+  }
+
+  await chrome.storage.local.set({
+    emergencyTokens: updated,
+    bypassLog: EmergencyTokens.appendLog(bypassLog, { at: now, siteId: site.id, pattern: site.pattern }),
+  });
+
+  const until = now + GatedSites.cooldownFor('correct', site, settings) * 60000;
+  await setBypass(site.id, until);
+  if (sender.tab) {
+    await clearSession(sender.tab.id);
+  }
+  return { success: true, unlocked: true, siteId: site.id, until, tokens: await getTokens(settings) };
+}
+
+/**
+ * Count one answer towards a tab's gate session. A new quiz claim (nonce)
+ * or a different site starts a fresh session; a finished one is cleared.
+ * @param {number|string} tabId
+ * @param {Object} site
+ * @param {Object} settings
+ * @param {Object} message - { outcome, nonce }
+ * @returns {Promise<Object>} { answered, correct, sessionLength, passThreshold, finished }
+ */
+function recordSessionAnswer(tabId, site, settings, message) {
+  return withQuizLock(async () => {
+    const { gateSessions = {} } = await chrome.storage.session.get('gateSessions');
+    const nonce = message.nonce || null;
+    const previous = gateSessions[tabId];
+    const results = previous && previous.siteId === site.id && previous.nonce === nonce
+      ? previous
+      : { siteId: site.id, nonce, answered: 0, correct: 0 };
+
+    results.answered++;
+    if (message.outcome === 'correct') {
+      results.correct++;
+    }
+
+    const session = { ...GatedSites.resolveSession(site, settings), answered: results.answered, correct: results.correct };
+    session.finished = session.answered >= session.sessionLength;
+
+    if (session.finished) {
+      delete gateSessions[tabId];
+    } else {
+      gateSessions[tabId] = results;
+    }
+    await chrome.storage.session.set({ gateSessions });
+    return session;
+  });
+}
+
+/**
+ * Forget the unfinished gate session of a closed tab
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+function clearSession(tabId) {
+  return withQuizLock(async () => {
+    const { gateSessions = {} } = await chrome.storage.session.get('gateSessions');
+    if (!(tabId in gateSessions)) return;
+    delete gateSessions[tabId];
+    await chrome.storage.session.set({ gateSessions });
+  });
+}
+
+/**
+ * Load today's quota progress
+ * @param {Object} settings
+ * @returns {Promise<Object>} { day, correct, unlocked, target }
+ */
+async function getQuota(settings) {
+  const { quota } = await chrome.storage.local.get('quota');
+  return { ...DailyQuota.current(quota), target: DailyQuota.target(settings) };
+}
+
+/**
+ * Count a quiz answer towards the daily quota. Once the quota is met
+ * (or every due phrase is cleared) all gated sites unlock until midnight.
+ * @param {Object} message - { outcome, dueCleared }
+ * @param {Object} site
+ * @param {Object} settings
+ * @returns {Promise<Object>}
+ */
+async function recordQuotaAnswer(message, site, settings) {
+  const { quota } = await chrome.storage.local.get('quota');
+  const target = DailyQuota.target(settings);
+  const updated = DailyQuota.record(quota, {
+    correct: message.outcome === 'correct',
+    dueCleared: Boolean(message.dueCleared),
+  }, target);
+  await chrome.storage.local.set({ quota: updated });
+
+  if (!updated.unlocked) {
+    return { success: true, unlocked: false, siteId: site.id, quota: { ...updated, target } };
+  }
+
+  const until = DailyQuota.nextMidnight();
+  const sites = await getGatedSites();
+  await setBypass(sites.filter(s => s.enabled).map(s => s.id), until);
+  return { success: true, unlocked: true, siteId: site.id, until, quota: { ...updated, target } };
+}
+
+let syncInProgress = null;
+
+/**
+ * Sync progress through chrome.storage.sync when the user turned it on.
+ * Overlapping requests share one run.
+ * @returns {Promise<Object>} The sync status
+ */
+async function syncProgress() {
+  const settings = await getSettings();
+  if (!settings.syncEnabled) {
+    return (await chrome.storage.local.get(SYNC_STATUS_KEY))[SYNC_STATUS_KEY] || null;
+  }
+
+  if (!syncInProgress) {
+    syncInProgress = (async () => {
+      const storage = new Storage();
+      try {
+        await storage.init();
+        return await Sync.run(storage);
+      } finally {
+        storage.close();
+        syncInProgress = null;
+      }
+    })();
+  }
+  return syncInProgress;
+}
+
+/**
+ * After Reset Progress or a replacing restore, start a new sync
+ * generation so other devices take the reset rather than undo it
+ * @returns {Promise<Object>} The sync status
+ */
+async function syncProgressReset() {
+  const settings = await getSettings();
+  if (settings.syncEnabled) {
+    await Sync.markReset();
+  }
+  return syncProgress();
+}
+
+/**
+ * Keep the periodic sync alarm in line with the setting
+ * @returns {Promise<void>}
+ */
+async function scheduleSync() {
+  const settings = await getSettings();
+  if (!settings.syncEnabled) {
+    await chrome.alarms.clear(SYNC_ALARM);
+  } else if (!(await chrome.alarms.get(SYNC_ALARM))) {
+    await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_PERIOD_MIN });
+  }
+}
+
 // Extension installation
-chrome.runtime.onInstalled.addListener((details) => {
+chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
     console.log('Habla Español installed');
 
     // Initialize storage with default values
-    chrome.storage.local.set({
-      bypassUntil: 0,
-      settings: {
-        enabled: true,
-        strictAccents: false,
-        correctCooldownMin: 10,
-        incorrectCooldownMin: 3,
-      }
+    await chrome.storage.local.set({
+      bypasses: {},
+      bypassLog: [],
+      gatedSites: DEFAULT_GATED_SITES,
+      settings: defaultSettings(),
+      settingsVersion: SETTINGS_VERSION,
+    });
+  } else if (details.reason === 'update') {
+    // Bring data written by an older release up to date
+    await Migrations.migrateStorage().catch((error) => {
+      console.error('Settings migration failed:', error);
+    });
+  }
+
+  applyGateSchedule().catch((error) => {
+    console.error('Failed to register gate script:', error);
+  });
+  scheduleSync().catch((error) => {
+    console.error('Failed to schedule progress sync:', error);
+  });
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  // Retry a migration that failed after the last update
+  await Migrations.migrateStorage().catch((error) => {
+    console.error('Settings migration failed:', error);
+  });
+
+  applyGateSchedule().catch((error) => {
+    console.error('Failed to register gate script:', error);
+  });
+  scheduleRegate().catch((error) => {
+    console.error('Failed to schedule re-gating:', error);
+  });
+  scheduleSync().then(syncProgress).catch((error) => {
+    console.error('Failed to sync progress:', error);
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  releaseQuiz(tabId);
+  clearSession(tabId);
+});
+
+// A bypass expired — lock the tabs it was keeping open
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REGATE_ALARM) {
+    regateOpenTabs().then(scheduleRegate).catch((error) => {
+      console.error('Failed to re-gate open tabs:', error);
+    });
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    applyGateSchedule().catch((error) => {
+      console.error('Failed to register gate script:', error);
+    });
+  } else if (alarm.name === SYNC_ALARM) {
+    syncProgress().catch((error) => {
+      console.error('Failed to sync progress:', error);
     });
   }
 });
 
+// Another device pushed progress; our own pushes land here too and
+// end in a run with nothing to write
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[SYNC_META_KEY]) {
+    syncProgress().catch((error) => {
+      console.error('Failed to sync progress:', error);
+    });
+  }
+});
+
+// In-app navigations (history.pushState) never reload the content script
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId !== 0) return;
+
+  getGatedSites().then((sites) => {
+    if (GatedSites.findSite(sites, details.url)) {
+      regateTab(details.tabId);
+    }
+  });
+});
+
 // Handle messages from content scripts or popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
     case 'CHECK_BYPASS':
-      chrome.storage.local.get('bypassUntil', (data) => {
-        const bypassActive = data.bypassUntil && data.bypassUntil > Date.now();
-        sendResponse({ bypass: bypassActive });
-      });
+      // "Is this site unlocked, and until when?"
+      Promise.all([resolveSite(message), getBypasses(), getSettings()]).then(([site, bypasses, settings]) => {
+        if (!site) {
+          sendResponse({ bypass: true, gated: false, until: 0, siteId: null });
+          return;
+        }
+        const reason = GateSchedule.inactiveReason(settings);
+        if (reason) {
+          // Master switch off, paused or outside the gating windows
+          const until = GateSchedule.nextChange(settings) || 0;
+          sendResponse({ bypass: true, gated: true, until, siteId: site.id, reason });
+          return;
+        }
+        const until = bypasses[site.id] || 0;
+        sendResponse({ bypass: until > Date.now(), gated: true, until, siteId: site.id });
+      }).catch((error) => sendResponse({ error: error.message }));
       return true; // Keep channel open for async response
 
     case 'SET_BYPASS':
-      chrome.storage.local.set({
-        bypassUntil: Date.now() + (message.duration || 5000)
-      }, () => {
-        sendResponse({ success: true });
+      // Only extension pages may unlock a site directly
+      if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL(''))) {
+        sendResponse({ error: 'Not allowed' });
+        break;
+      }
+      resolveSite(message).then(async (site) => {
+        if (!site) {
+          sendResponse({ error: 'Not a gated site' });
+          return;
+        }
+        const until = Date.now() + (message.duration || 5000);
+        await setBypass(site.id, until);
+        sendResponse({ success: true, siteId: site.id, until });
       });
       return true;
 
     case 'CLEAR_BYPASS':
-      chrome.storage.local.set({ bypassUntil: 0 }, () => {
+      getBypasses().then(async (bypasses) => {
+        const updated = { ...bypasses };
+        if (message.siteId) {
+          delete updated[message.siteId];
+        }
+        await chrome.storage.local.set({ bypasses: message.siteId ? updated : {} });
+        await regateOpenTabs();
+        await scheduleRegate();
         sendResponse({ success: true });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'GET_BYPASSES':
+      Promise.all([getBypasses(), getGatedSites()]).then(([bypasses, sites]) => {
+        sendResponse({ bypasses: GatedSites.activeBypasses(bypasses, sites) });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'CLAIM_QUIZ':
+      claimQuiz(sender.tab.id, message.siteId, message.nonce).then(sendResponse)
+        .catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'COMPLETE_QUIZ':
+      completeQuiz(message, sender).then((response) => {
+        sendResponse(response);
+        // The answer was just saved; carry it to other devices
+        syncProgress().catch((error) => {
+          console.error('Failed to sync progress:', error);
+        });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'USE_EMERGENCY_TOKEN':
+      useEmergencyToken(message, sender).then(sendResponse)
+        .catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'GET_EMERGENCY_TOKENS':
+      getSettings().then(async (settings) => {
+        const { bypassLog = [] } = await chrome.storage.local.get('bypassLog');
+        sendResponse({ tokens: await getTokens(settings), log: bypassLog });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'RELEASE_QUIZ':
+      releaseQuiz(sender.tab.id).then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'FOCUS_QUIZ_TAB':
+      if (message.tabId) {
+        chrome.tabs.update(message.tabId, { active: true }).then((tab) => {
+          chrome.windows.update(tab.windowId, { focused: true });
+        }).catch(() => {});
+      }
+      sendResponse({ success: true });
+      break;
+
+    case 'GET_SITE_SETTINGS':
+      Promise.all([resolveSite(message), chrome.storage.local.get('settings')]).then(async ([site, data]) => {
+        const settings = data.settings || {};
+        sendResponse({
+          site,
+          settings: {
+            ...settings,
+            ...GatedSites.resolveCooldowns(site, settings),
+            ...GatedSites.resolveSession(site, settings),
+          },
+          quota: await getQuota(settings),
+          tokens: await getTokens(settings),
+        });
+      });
+      return true;
+
+    case 'GET_QUOTA':
+      chrome.storage.local.get('settings').then(async (data) => {
+        sendResponse({ quota: await getQuota(data.settings || {}) });
       });
       return true;
 
@@ -56,10 +774,92 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         const updated = { ...data.settings, ...message.settings };
         chrome.storage.local.set({ settings: updated }, () => {
           sendResponse({ success: true, settings: updated });
+          // The master switch, pause or schedule may have changed
+          applyGateSchedule().catch((error) => {
+            console.error('Failed to register gate script:', error);
+          });
+          if ('syncEnabled' in message.settings) {
+            scheduleSync().then(syncProgress).catch((error) => {
+              console.error('Failed to sync progress:', error);
+            });
+          }
         });
       });
       return true;
 
+    case 'GET_SYNC_STATUS':
+      chrome.storage.local.get(SYNC_STATUS_KEY, (data) => {
+        sendResponse({ status: data[SYNC_STATUS_KEY] || null });
+      });
+      return true;
+
+    case 'PROGRESS_RESET':
+      syncProgressReset().then((status) => sendResponse({ status }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'SYNC_NOW':
+      syncProgress().then((status) => sendResponse({ status }))
+        .catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'GET_GATED_SITES':
+      getGatedSites().then((sites) => {
+        sendResponse({ sites });
+      });
+      return true;
+
+    case 'FIND_GATED_SITE':
+      getGatedSites().then((sites) => {
+        sendResponse({ site: GatedSites.findSite(sites, message.url) });
+      });
+      return true;
+
+    case 'ADD_GATED_SITE':
+      getGatedSites().then(async (sites) => {
+        const site = GatedSites.createSite(message.pattern, sites);
+        if (!site) {
+          sendResponse({ error: 'Invalid site pattern' });
+          return;
+        }
+        if (sites.some(s => s.pattern === site.pattern)) {
+          sendResponse({ error: 'Site is already gated' });
+          return;
+        }
+        const updated = [...sites, site];
+        await saveGatedSites(updated);
+        sendResponse({ success: true, sites: updated });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'UPDATE_GATED_SITE':
+      getGatedSites().then(async (sites) => {
+        const changes = { ...message.changes };
+        if ('pattern' in changes) {
+          changes.pattern = GatedSites.normalizePattern(changes.pattern);
+          if (!GatedSites.isValidPattern(changes.pattern)) {
+            sendResponse({ error: 'Invalid site pattern' });
+            return;
+          }
+          if (sites.some(s => s.id !== message.id && s.pattern === changes.pattern)) {
+            sendResponse({ error: 'Site is already gated' });
+            return;
+          }
+        }
+        const updated = sites.map(s => s.id === message.id ? { ...s, ...changes, id: s.id } : s);
+        await saveGatedSites(updated);
+        sendResponse({ success: true, sites: updated });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
+    case 'REMOVE_GATED_SITE':
+      getGatedSites().then(async (sites) => {
+        const updated = sites.filter(s => s.id !== message.id);
+        await saveGatedSites(updated);
+        sendResponse({ success: true, sites: updated });
+      }).catch((error) => sendResponse({ error: error.message }));
+      return true;
+
     default:
       sendResponse({ error: 'Unknown message type' });
   }
@@ -0,0 +1,208 @@
+/**
+ * Progress Backup for Habla Español
+ * Exports every progress record, the review log and the imported phrases
+ * to a versioned JSON file, and imports one back with a choice of how to
+ * merge it with what is already stored.
+ */
+
+const BACKUP_FORMAT = 'habla-espanol-backup';
+// Version 2 added the imported phrases (customDeck)
+const BACKUP_VERSION = 2;
+
+// How an import treats cards that exist on both sides
+const MERGE_STRATEGIES = {
+  newer: 'Keep the most recently reviewed',
+  mine: 'Keep mine, add only missing cards',
+  replace: 'Replace everything with the file',
+};
+
+class Backup {
+  /**
+   * Collect everything worth backing up
+   * @param {Storage} storage
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>}
+   */
+  static async create(storage, now = Date.now()) {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: now,
+      progress: await storage.getAllProgress(),
+      reviewLog: await storage.getAllReviewLog(),
+      customDeck: await storage.getCustomDeck(),
+    };
+  }
+
+  /**
+   * File name for an export made at a time
+   * @param {number} now - Timestamp
+   * @returns {string}
+   */
+  static fileName(now = Date.now()) {
+    return `habla-espanol-backup-${DailyQuota.dayKey(now)}.json`;
+  }
+
+  /**
+   * Check a parsed file is a backup this version can read
+   * @param {*} data
+   * @returns {Object} The backup, with reviewLog defaulted to [] and
+   *   customDeck to null for files made before it was included
+   * @throws {Error} With a message to show the user
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+      throw new Error('This is not a Habla Español backup file.');
+    }
+    if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+      throw new Error('This backup was made by a newer version of the extension.');
+    }
+    if (!Array.isArray(data.progress) || data.progress.some(p => !p || p.phraseId === undefined)) {
+      throw new Error('The backup file is damaged: progress records are missing or invalid.');
+    }
+    if (data.reviewLog !== undefined && !Array.isArray(data.reviewLog)) {
+      throw new Error('The backup file is damaged: the review log is invalid.');
+    }
+    const deck = data.customDeck;
+    if (deck !== undefined && (!deck || !Array.isArray(deck.phrases) || !Array.isArray(deck.categories))) {
+      throw new Error('The backup file is damaged: the imported phrases are invalid.');
+    }
+    return { ...data, reviewLog: data.reviewLog || [], customDeck: deck || null };
+  }
+
+  /**
+   * Work out what an import writes
+   * @param {Object} mine - { progress, reviewLog, customDeck } currently stored
+   * @param {Object} theirs - Validated backup
+   * @param {string} strategy - A key of MERGE_STRATEGIES
+   * @returns {Object} { progress, reviewLog, customDeck, clear, summary }
+   *   where progress, reviewLog and customDeck are what to write and
+   *   summary counts { added, updated, kept, logEntries, phrases, dropped }
+   */
+  static merge(mine, theirs, strategy) {
+    if (!MERGE_STRATEGIES[strategy]) {
+      throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+
+    const { customDeck, belongs } = Backup.mergeDecks(mine.customDeck, theirs.customDeck, strategy);
+    const known = record => belongs(Cards.parseKey(record.phraseId).phraseId);
+    const progress = theirs.progress.filter(known);
+
+    const result = Backup.mergeProgress(mine, { ...theirs, progress, reviewLog: theirs.reviewLog.filter(known) }, strategy);
+    result.customDeck = customDeck;
+    result.summary.phrases = customDeck.phrases.length;
+    result.summary.dropped = theirs.progress.length - progress.length;
+    return result;
+  }
+
+  /**
+   * Imported phrases to add from a backup, and which of its imported
+   * phrase ids its progress may be kept for. An id taken here by a
+   * different phrase keeps the phrase here, except with Replace; the
+   * backup's progress for it is then left out, as it would land on the
+   * wrong phrase. Files without imported phrases keep progress only for
+   * ids imported here.
+   * @param {Object} [mine] - { phrases, categories } stored here
+   * @param {Object|null} theirs - { phrases, categories } from the backup
+   * @param {string} strategy
+   * @returns {Object} { customDeck, belongs } where belongs(phraseId)
+   *   tells whether the backup's progress for a phrase may be written
+   */
+  static mergeDecks(mine = { phrases: [], categories: [] }, theirs, strategy) {
+    const own = new Map(mine.phrases.map(p => [p.id, p]));
+    if (!theirs) {
+      return {
+        customDeck: { phrases: [], categories: [] },
+        belongs: phraseId => phraseId < CUSTOM_ID_BASE || own.has(phraseId),
+      };
+    }
+
+    const incoming = new Map(theirs.phrases.map(p => [p.id, p]));
+    const takes = (phrase) => {
+      const existing = own.get(phrase.id);
+      return !existing || existing.text === phrase.text || strategy === 'replace';
+    };
+    const ownCategories = new Set(mine.categories.map(c => c.id));
+
+    return {
+      customDeck: {
+        phrases: theirs.phrases.filter(p => takes(p) && (!own.has(p.id) || own.get(p.id).text !== p.text)),
+        categories: theirs.categories.filter(c => !ownCategories.has(c.id)),
+      },
+      belongs: phraseId => phraseId < CUSTOM_ID_BASE || (incoming.has(phraseId) && takes(incoming.get(phraseId))),
+    };
+  }
+
+  /**
+   * Merge progress and the review log by strategy
+   * @param {Object} mine - { progress, reviewLog }
+   * @param {Object} theirs - { progress, reviewLog }
+   * @param {string} strategy
+   * @returns {Object} { progress, reviewLog, clear, summary }
+   */
+  static mergeProgress(mine, theirs, strategy) {
+    // Log ids are per machine; imported entries get fresh ones
+    const stripId = ({ id, ...entry }) => entry;
+
+    if (strategy === 'replace') {
+      return {
+        progress: theirs.progress,
+        reviewLog: theirs.reviewLog.map(stripId),
+        clear: true,
+        summary: { added: theirs.progress.length, updated: 0, kept: 0, logEntries: theirs.reviewLog.length },
+      };
+    }
+
+    const existing = new Map(mine.progress.map(p => [p.phraseId, p]));
+    const progress = [];
+    const summary = { added: 0, updated: 0, kept: 0, logEntries: 0 };
+
+    for (const record of theirs.progress) {
+      const current = existing.get(record.phraseId);
+      if (!current) {
+        progress.push(record);
+        summary.added++;
+      } else if (strategy === 'newer' && (record.lastReview || 0) > (current.lastReview || 0)) {
+        progress.push(record);
+        summary.updated++;
+      } else {
+        summary.kept++;
+      }
+    }
+
+    // The log only grows: add the attempts not already stored
+    const seen = new Set(mine.reviewLog.map(e => `${e.phraseId}@${e.at}`));
+    const reviewLog = theirs.reviewLog.filter(e => !seen.has(`${e.phraseId}@${e.at}`)).map(stripId);
+    summary.logEntries = reviewLog.length;
+
+    return { progress, reviewLog, clear: false, summary };
+  }
+
+  /**
+   * Import a backup
+   * @param {Storage} storage
+   * @param {*} data - Parsed backup file
+   * @param {string} strategy - A key of MERGE_STRATEGIES
+   * @returns {Promise<Object>} Summary of what changed
+   */
+  static async restore(storage, data, strategy) {
+    const theirs = Backup.validate(data);
+    const mine = {
+      progress: await storage.getAllProgress(),
+      reviewLog: await storage.getAllReviewLog(),
+      customDeck: await storage.getCustomDeck(),
+    };
+
+    const { progress, reviewLog, customDeck, clear, summary } = Backup.merge(mine, theirs, strategy);
+    await storage.importRecords({ progress, reviewLog, customDeck, clear });
+    return summary;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Backup, BACKUP_FORMAT, BACKUP_VERSION, MERGE_STRATEGIES };
+} else if (typeof window !== 'undefined') {
+  window.Backup = Backup;
+  window.MERGE_STRATEGIES = MERGE_STRATEGIES;
+}
@@ -0,0 +1,109 @@
+/**
+ * Card Directions for Habla Español
+ * Each phrase can be asked several ways. Every direction is its own card
+ * with its own progress record, so recognising a phrase and producing it
+ * are scheduled separately.
+ *
+ * Progress records are keyed by card: the image card keeps the plain
+ * phrase id it always had, other directions use "<phraseId>:<direction>".
+ */
+
+const CARD_DIRECTIONS = {
+  image: { label: 'Picture → Spanish', instruction: 'escribe en español' },
+  'en-es': { label: 'English → Spanish', instruction: 'escribe en español' },
+  'es-en': { label: 'Spanish → English', instruction: 'write it in English' },
+  emoji: { label: 'Emoji → Spanish', instruction: 'escribe en español' },
+};
+
+const DEFAULT_DIRECTIONS = ['image'];
+
+class Cards {
+  /**
+   * Progress key of a phrase's card in a direction
+   * @param {number} phraseId
+   * @param {string} direction
+   * @returns {number|string}
+   */
+  static key(phraseId, direction = 'image') {
+    return direction === 'image' ? phraseId : `${phraseId}:${direction}`;
+  }
+
+  /**
+   * Split a progress key back into phrase and direction
+   * @param {number|string} key
+   * @returns {Object} { phraseId, direction }
+   */
+  static parseKey(key) {
+    if (typeof key === 'number') {
+      return { phraseId: key, direction: 'image' };
+    }
+    const [id, direction] = String(key).split(':');
+    return { phraseId: Number(id), direction: direction || 'image' };
+  }
+
+  /**
+   * Known directions from the settings, in a fixed order; the image card
+   * when none is enabled
+   * @param {Array<string>} [enabled]
+   * @returns {Array<string>}
+   */
+  static directions(enabled) {
+    const known = Object.keys(CARD_DIRECTIONS).filter(d => (enabled || []).includes(d));
+    return known.length > 0 ? known : DEFAULT_DIRECTIONS;
+  }
+
+  /**
+   * Whether a phrase has what a direction needs to be asked
+   * @param {Object} phrase
+   * @param {string} direction
+   * @returns {boolean}
+   */
+  static supports(phrase, direction) {
+    switch (direction) {
+      case 'en-es':
+      case 'es-en':
+        return Boolean(phrase.english);
+      case 'emoji':
+        return Boolean(phrase.emoji);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Build the cards for phrases, keeping phrase order and each phrase's
+   * directions together
+   * @param {Array} phrases
+   * @param {Array<string>} directions
+   * @returns {Array} [{ key, phrase, direction }]
+   */
+  static build(phrases, directions) {
+    const cards = [];
+    for (const phrase of phrases) {
+      for (const direction of directions) {
+        if (Cards.supports(phrase, direction)) {
+          cards.push({ key: Cards.key(phrase.id, direction), phrase, direction });
+        }
+      }
+    }
+    return cards;
+  }
+
+  /**
+   * The answer expected for a card
+   * @param {Object} phrase
+   * @param {string} direction
+   * @returns {string}
+   */
+  static answer(phrase, direction) {
+    return direction === 'es-en' ? phrase.english : phrase.text;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Cards, CARD_DIRECTIONS, DEFAULT_DIRECTIONS };
+} else if (typeof window !== 'undefined') {
+  window.Cards = Cards;
+  window.CARD_DIRECTIONS = CARD_DIRECTIONS;
+}
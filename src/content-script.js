@@ -1,49 +1,320 @@
 /**
  * Content Script for Habla Español
- * Injects an opaque overlay with quiz iframe on news.google.com.
+ * Injects an opaque overlay with quiz iframe on every gated site.
+ * Registered dynamically by background.js for the user's gated site patterns.
  * The original page loads underneath — after quiz completion the overlay
  * is removed, revealing the page the user intended to visit.
  */
 
 (function () {
-  // Create opaque overlay immediately (before page renders)
-  const overlay = document.createElement('div');
-  overlay.id = 'habla-overlay';
-  overlay.style.cssText =
-    'position:fixed;inset:0;z-index:2147483647;background:#000;opacity:1;transition:opacity 0.3s ease;';
-  document.documentElement.appendChild(overlay);
+  // Already running in this tab (background re-injects after in-app navigations)
+  if (window.__hablaGate) return;
+  window.__hablaGate = true;
+
+  const EXTENSION_ORIGIN = new URL(chrome.runtime.getURL('')).origin;
+
+  // How long to keep the page locked before asking again after the
+  // background worker failed to answer
+  const RETRY_MS = 3000;
+
+  let host = null;
+  let overlay = null;
+  let quizPort = null;
+  let guard = null;
+  let savedOverflow = null;
+  const pausedMedia = new Set();
+
+  // Inline !important styles win over anything the page's stylesheets say
+  const HOST_STYLE =
+    'all:initial !important;position:fixed !important;inset:0 !important;' +
+    'z-index:2147483647 !important;display:block !important;visibility:visible !important;' +
+    'opacity:1 !important;pointer-events:auto !important;';
+
+  /**
+   * Create the overlay inside a closed shadow root so page scripts and
+   * CSS can't reach into it, and start guarding it.
+   */
+  function showOverlay() {
+    if (overlay) return;
+
+    host = document.createElement('habla-gate');
+    host.setAttribute('style', HOST_STYLE);
+    host.setAttribute('popover', 'manual');
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    overlay = document.createElement('div');
+    overlay.style.cssText =
+      'position:fixed;inset:0;background:#000;opacity:1;transition:opacity 0.3s ease;';
+    shadow.appendChild(overlay);
+    document.documentElement.appendChild(host);
+    raiseHost();
+
+    lockPage();
+  }
 
   function removeOverlay() {
+    if (!overlay) return;
+
+    const el = host;
+    const hadQuiz = hasQuiz();
     overlay.style.opacity = '0';
-    overlay.addEventListener('transitionend', () => overlay.remove(), { once: true });
-    // Fallback in case transitionend doesn't fire
-    setTimeout(() => { if (overlay.parentNode) overlay.remove(); }, 400);
+    overlay = null;
+    host = null;
+    unlockPage();
+
+    if (hadQuiz) {
+      chrome.runtime.sendMessage({ type: 'RELEASE_QUIZ' });
+    }
+    if (quizPort) {
+      quizPort.close();
+      quizPort = null;
+    }
+
+    // Let the fade-out play before detaching the host
+    setTimeout(() => el.remove(), 300);
+  }
+
+  /**
+   * Put the host in the top layer, above anything the page adds later
+   * whatever its z-index. Browsers without popovers rely on HOST_STYLE's
+   * z-index.
+   */
+  function raiseHost() {
+    if (typeof host.showPopover === 'function' && !host.matches(':popover-open')) {
+      host.showPopover();
+    }
+  }
+
+  /**
+   * Keep the overlay on top and in place, block scrolling and keyboard
+   * focus from reaching the page, and pause its media.
+   */
+  function lockPage() {
+    guard = new MutationObserver(() => {
+      if (!host) return;
+      // Only a detached host is re-inserted: moving it reloads the quiz
+      if (!host.isConnected || host.parentNode !== document.documentElement) {
+        document.documentElement.appendChild(host);
+      }
+      if (host.getAttribute('style') !== HOST_STYLE) {
+        host.setAttribute('style', HOST_STYLE);
+      }
+      if (host.getAttribute('popover') !== 'manual') {
+        host.setAttribute('popover', 'manual');
+      }
+      raiseHost();
+    });
+    guard.observe(document.documentElement, { childList: true });
+    guard.observe(host, { attributes: true });
+
+    savedOverflow = document.documentElement.style.getPropertyValue('overflow');
+    document.documentElement.style.setProperty('overflow', 'hidden', 'important');
+
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+
+    for (const media of document.querySelectorAll('video, audio')) {
+      pauseMedia(media);
+    }
+  }
+
+  function unlockPage() {
+    if (guard) {
+      guard.disconnect();
+      guard = null;
+    }
+
+    if (savedOverflow) {
+      document.documentElement.style.setProperty('overflow', savedOverflow);
+    } else {
+      document.documentElement.style.removeProperty('overflow');
+    }
+    savedOverflow = null;
+
+    for (const media of pausedMedia) {
+      media.play().catch(() => {});
+    }
+    pausedMedia.clear();
   }
 
-  // Check bypass status
-  chrome.storage.local.get('bypassUntil', (data) => {
-    if (data.bypassUntil && data.bypassUntil > Date.now()) {
-      // Bypass active — remove overlay immediately
-      removeOverlay();
-      return;
+  function pauseMedia(media) {
+    if (!media.paused) {
+      media.pause();
+      pausedMedia.add(media);
     }
+  }
+
+  // While gated, swallow input aimed at the page. Events inside the quiz
+  // iframe belong to the iframe's own document and never arrive here.
+  function blockEvent(event) {
+    if (!overlay || event.target === host) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+
+  for (const type of ['keydown', 'keypress', 'keyup', 'wheel', 'touchmove']) {
+    window.addEventListener(type, blockEvent, { capture: true, passive: false });
+  }
+
+  document.addEventListener('focusin', (event) => {
+    if (!overlay || event.target === host) return;
+    event.target.blur();
+    const iframe = overlay.querySelector('iframe');
+    if (iframe) iframe.focus();
+  }, true);
+
+  // Media events don't bubble, but they can be caught on the way down
+  document.addEventListener('play', (event) => {
+    if (overlay && event.target instanceof HTMLMediaElement) {
+      pauseMedia(event.target);
+    }
+  }, true);
+
+  function hasQuiz() {
+    return Boolean(overlay && overlay.querySelector('iframe'));
+  }
+
+  // Another tab is already showing the quiz — wait for it instead of
+  // asking (and recording) the same phrase twice
+  function showWaiting(status) {
+    showOverlay();
+    if (hasQuiz() || overlay.querySelector('.habla-waiting')) return;
+
+    const waiting = document.createElement('div');
+    waiting.className = 'habla-waiting';
+    waiting.style.cssText =
+      'position:fixed;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;' +
+      'gap:16px;font:13px/1.4 monospace;color:rgba(237,233,227,0.6);';
+    waiting.textContent = 'Quiz in progress in another tab';
+
+    const goBtn = document.createElement('button');
+    goBtn.textContent = 'Go to quiz';
+    goBtn.style.cssText =
+      'padding:8px 16px;font:12px monospace;color:#111;background:#d4b896;border:none;border-radius:10px;cursor:pointer;';
+    goBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'FOCUS_QUIZ_TAB', tabId: status.tabId });
+    });
+
+    waiting.appendChild(goBtn);
+    overlay.appendChild(waiting);
+  }
+
+  /**
+   * Show the quiz iframe and hand it a private MessageChannel port.
+   * Page scripts never see the port or the nonce, and a completion
+   * message only triggers a re-check with the background worker, which
+   * is the one that actually grants the bypass.
+   */
+  function showQuiz(status, nonce) {
+    showOverlay();
+    if (hasQuiz()) return;
+
+    const waiting = overlay.querySelector('.habla-waiting');
+    if (waiting) waiting.remove();
 
-    // No bypass — show quiz iframe
     const iframe = document.createElement('iframe');
-    iframe.src = chrome.runtime.getURL('src/quiz.html');
+    iframe.src = chrome.runtime.getURL('src/quiz.html') + '?site=' + encodeURIComponent(status.siteId);
     iframe.style.cssText =
       'position:fixed;inset:0;width:100%;height:100%;border:none;z-index:2147483647;';
     iframe.allow = '';
+
+    // Every load, including a reload, needs its own port and the nonce
+    iframe.addEventListener('load', () => connectQuiz(iframe, nonce));
+
     overlay.appendChild(iframe);
+  }
 
-    // Listen for quiz completion message from iframe
-    window.addEventListener('message', (event) => {
-      if (event.data && event.data.type === 'HABLA_QUIZ_COMPLETE') {
-        const cooldownMs = event.data.cooldownMs || 0;
-        chrome.storage.local.set({ bypassUntil: Date.now() + cooldownMs }, () => {
-          removeOverlay();
-        });
+  /**
+   * Hand a freshly loaded quiz a private port and the nonce its tab
+   * claimed the quiz with
+   * @param {HTMLIFrameElement} iframe
+   * @param {string} nonce
+   */
+  function connectQuiz(iframe, nonce) {
+    if (quizPort) {
+      quizPort.close();
+    }
+
+    const channel = new MessageChannel();
+    quizPort = channel.port1;
+    quizPort.onmessage = (event) => {
+      if (event.data && event.data.type === 'HABLA_QUIZ_COMPLETE' && event.data.nonce === nonce) {
+        checkGate();
       }
+    };
+
+    iframe.contentWindow.postMessage(
+      { type: 'HABLA_QUIZ_PORT', nonce },
+      EXTENSION_ORIGIN,
+      [channel.port2]
+    );
+  }
+
+  // Check whether this site is currently unlocked
+  function checkGate() {
+    chrome.runtime.sendMessage({ type: 'CHECK_BYPASS', url: location.href }, (status) => {
+      if (status && status.error) {
+        // Stay locked rather than open the page on a failed check
+        retryGate(status.error);
+        return;
+      }
+      if (!status || status.bypass) {
+        // Bypass active (or site no longer gated) — remove overlay immediately
+        removeOverlay();
+        return;
+      }
+
+      if (hasQuiz()) return;
+
+      // No bypass — show quiz iframe, unless another tab already is
+      const nonce = crypto.randomUUID();
+      chrome.runtime.sendMessage({ type: 'CLAIM_QUIZ', siteId: status.siteId, nonce }, (claim) => {
+        if (!claim || claim.error) {
+          retryGate(claim ? claim.error : chrome.runtime.lastError && chrome.runtime.lastError.message);
+        } else if (claim.granted) {
+          showQuiz(status, nonce);
+        } else {
+          showWaiting({ ...status, tabId: claim.tabId });
+        }
+      });
     });
+  }
+
+  /**
+   * Ask again shortly when the background worker couldn't answer
+   * @param {string} [reason]
+   */
+  function retryGate(reason) {
+    console.warn('Habla Español: gate check failed, retrying', reason);
+    setTimeout(checkGate, RETRY_MS);
+  }
+
+  // Background asks for a re-check when a bypass expires, a quiz in
+  // another tab finishes, or the page navigates in-app (history.pushState)
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'REGATE') {
+      checkGate();
+    } else if (message.type === 'HAS_QUIZ') {
+      sendResponse({ active: hasQuiz() });
+    }
   });
+
+  // A quiz answered in another tab unlocks this one too
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.bypasses && overlay) {
+      checkGate();
+    }
+  });
+
+  // Let a waiting tab take over if this one goes away mid-quiz
+  window.addEventListener('pagehide', () => {
+    if (hasQuiz()) {
+      chrome.runtime.sendMessage({ type: 'RELEASE_QUIZ' });
+    }
+  });
+
+  // Create opaque overlay immediately (before page renders)
+  showOverlay();
+  checkGate();
 })();
@@ -0,0 +1,130 @@
+/**
+ * Curriculum for Habla Español
+ * Decides the order new phrases are introduced in. Every strategy is
+ * deterministic for the same settings, so the order holds across sessions
+ * and the user keeps progressing along the same path.
+ */
+
+const NEW_ORDERS = ['sequential', 'easiest', 'categories', 'random', 'pinned'];
+
+class Curriculum {
+  /**
+   * Order phrases for introduction
+   * @param {Array} phrases - Phrase objects in file order
+   * @param {Object} [options]
+   *   newOrder: 'sequential' (file order, default), 'easiest' (lowest
+   *     complexity first), 'categories' (round-robin across categories,
+   *     easiest first within each), 'random' (shuffled by newOrderSeed)
+   *     or 'pinned' (pinnedOrder first, then file order)
+   *   newOrderSeed: seed for the random order
+   *   pinnedOrder: phrase ids in the order the user chose
+   * @returns {Array} A new array
+   */
+  static order(phrases, options = {}) {
+    switch (options.newOrder) {
+      case 'easiest':
+        return Curriculum.byComplexity(phrases);
+      case 'categories':
+        return Curriculum.roundRobin(phrases);
+      case 'random':
+        return Curriculum.shuffle(phrases, options.newOrderSeed || 1);
+      case 'pinned':
+        return Curriculum.pinned(phrases, options.pinnedOrder || []);
+      default:
+        return [...phrases];
+    }
+  }
+
+  /**
+   * Lowest complexity first; phrases without one count as 0. Ties keep
+   * file order.
+   * @param {Array} phrases
+   * @returns {Array}
+   */
+  static byComplexity(phrases) {
+    return phrases
+      .map((phrase, index) => ({ phrase, index }))
+      .sort((a, b) => ((a.phrase.complexity || 0) - (b.phrase.complexity || 0)) || (a.index - b.index))
+      .map(entry => entry.phrase);
+  }
+
+  /**
+   * Take one phrase from each category in turn, categories in the order
+   * they first appear, each category easiest first
+   * @param {Array} phrases
+   * @returns {Array}
+   */
+  static roundRobin(phrases) {
+    const groups = new Map();
+    for (const phrase of Curriculum.byComplexity(phrases)) {
+      if (!groups.has(phrase.category)) groups.set(phrase.category, []);
+      groups.get(phrase.category).push(phrase);
+    }
+
+    // byComplexity reorders categories too; restore first appearance
+    const categories = [...new Set(phrases.map(p => p.category))];
+    const ordered = [];
+    for (let round = 0; ordered.length < phrases.length; round++) {
+      for (const category of categories) {
+        const phrase = groups.get(category)[round];
+        if (phrase) ordered.push(phrase);
+      }
+    }
+    return ordered;
+  }
+
+  /**
+   * Fisher-Yates shuffle driven by a seeded generator, so the same seed
+   * always gives the same order
+   * @param {Array} phrases
+   * @param {number} seed
+   * @returns {Array}
+   */
+  static shuffle(phrases, seed) {
+    const random = Curriculum.seededRandom(seed);
+    const shuffled = [...phrases];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Mulberry32: a small seeded generator returning numbers in [0, 1)
+   * @param {number} seed
+   * @returns {Function}
+   */
+  static seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Pinned phrases first in the chosen order, then the rest in file
+   * order. Ids that no longer exist are ignored.
+   * @param {Array} phrases
+   * @param {Array<number>} pinnedOrder
+   * @returns {Array}
+   */
+  static pinned(phrases, pinnedOrder) {
+    const byId = new Map(phrases.map(p => [p.id, p]));
+    const pinned = [...new Set(pinnedOrder)].filter(id => byId.has(id)).map(id => byId.get(id));
+    const pinnedIds = new Set(pinned.map(p => p.id));
+    return [...pinned, ...phrases.filter(p => !pinnedIds.has(p.id))];
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Curriculum, NEW_ORDERS };
+} else if (typeof window !== 'undefined') {
+  window.Curriculum = Curriculum;
+  window.NEW_ORDERS = NEW_ORDERS;
+}
@@ -0,0 +1,82 @@
+/**
+ * Daily Quota Mode for Habla Español
+ * "Earn your day": gated sites unlock until local midnight once enough
+ * correct answers have been given (or every due phrase has been cleared)
+ */
+
+const DEFAULT_DAILY_QUOTA = 10;
+
+class DailyQuota {
+  /**
+   * Local calendar day key, e.g. "2025-03-14"
+   * @param {number} now - Timestamp
+   * @returns {string}
+   */
+  static dayKey(now = Date.now()) {
+    const d = new Date(now);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Timestamp of the next local midnight
+   * @param {number} now - Timestamp
+   * @returns {number}
+   */
+  static nextMidnight(now = Date.now()) {
+    const d = new Date(now);
+    d.setHours(24, 0, 0, 0);
+    return d.getTime();
+  }
+
+  /**
+   * Number of correct answers needed per day
+   * @param {Object} settings
+   * @returns {number}
+   */
+  static target(settings = {}) {
+    const quota = settings.dailyQuota;
+    return typeof quota === 'number' && quota > 0 ? Math.round(quota) : DEFAULT_DAILY_QUOTA;
+  }
+
+  /**
+   * Get today's progress, starting fresh on a new day
+   * @param {Object|null} state - Stored { day, correct, unlocked }
+   * @param {number} now
+   * @returns {Object} { day, correct, unlocked }
+   */
+  static current(state, now = Date.now()) {
+    const day = this.dayKey(now);
+    if (!state || state.day !== day) {
+      return { day, correct: 0, unlocked: false };
+    }
+    return { ...state };
+  }
+
+  /**
+   * Record one answer towards today's quota
+   * @param {Object|null} state - Stored progress
+   * @param {Object} answer - { correct, dueCleared }
+   * @param {number} target - Correct answers needed
+   * @param {number} now
+   * @returns {Object} Updated { day, correct, unlocked }
+   */
+  static record(state, answer, target, now = Date.now()) {
+    const updated = this.current(state, now);
+    if (answer.correct) {
+      updated.correct++;
+    }
+    if (updated.correct >= target || (answer.correct && answer.dueCleared)) {
+      updated.unlocked = true;
+    }
+    return updated;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DailyQuota, DEFAULT_DAILY_QUOTA };
+} else if (typeof window !== 'undefined') {
+  window.DailyQuota = DailyQuota;
+}
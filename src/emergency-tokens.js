@@ -0,0 +1,100 @@
+/**
+ * Emergency Bypass Tokens for Habla Español
+ * A small weekly budget of "let me through" skips that bypass the quiz
+ * without counting as a failed review, plus an audit log of every use
+ */
+
+const DEFAULT_WEEKLY_TOKENS = 3;
+const BYPASS_LOG_LIMIT = 200;
+
+class EmergencyTokens {
+  /**
+   * Local week key: the date of the week's Monday, e.g. "2025-03-10"
+   * @param {number} now - Timestamp
+   * @returns {string}
+   */
+  static weekKey(now = Date.now()) {
+    const d = new Date(now);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Number of tokens available per week
+   * @param {Object} settings
+   * @returns {number}
+   */
+  static allowance(settings = {}) {
+    const tokens = settings.weeklyTokens;
+    return typeof tokens === 'number' && tokens >= 0 ? Math.round(tokens) : DEFAULT_WEEKLY_TOKENS;
+  }
+
+  /**
+   * Get this week's usage, starting fresh on a new week
+   * @param {Object|null} state - Stored { week, used }
+   * @param {number} now
+   * @returns {Object} { week, used }
+   */
+  static current(state, now = Date.now()) {
+    const week = this.weekKey(now);
+    if (!state || state.week !== week) {
+      return { week, used: 0 };
+    }
+    return { ...state };
+  }
+
+  /**
+   * Tokens left this week
+   * @param {Object|null} state
+   * @param {Object} settings
+   * @param {number} now
+   * @returns {number}
+   */
+  static remaining(state, settings = {}, now = Date.now()) {
+    return Math.max(0, this.allowance(settings) - this.current(state, now).used);
+  }
+
+  /**
+   * Spend one token
+   * @param {Object|null} state
+   * @param {Object} settings
+   * @param {number} now
+   * @returns {Object|null} Updated { week, used }, or null if none are left
+   */
+  static spend(state, settings = {}, now = Date.now()) {
+    if (this.remaining(state, settings, now) === 0) return null;
+    const updated = this.current(state, now);
+    updated.used++;
+    return updated;
+  }
+
+  /**
+   * Append a bypass to the log, keeping only the most recent entries
+   * @param {Array|null} log - [{ at, siteId, pattern }]
+   * @param {Object} entry
+   * @param {number} limit
+   * @returns {Array}
+   */
+  static appendLog(log, entry, limit = BYPASS_LOG_LIMIT) {
+    return [...(log || []), entry].slice(-limit);
+  }
+
+  /**
+   * Count logged bypasses since a point in time
+   * @param {Array|null} log
+   * @param {number} since - Timestamp
+   * @returns {number}
+   */
+  static countSince(log, since) {
+    return (log || []).filter(entry => entry.at >= since).length;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EmergencyTokens, DEFAULT_WEEKLY_TOKENS, BYPASS_LOG_LIMIT };
+} else if (typeof window !== 'undefined') {
+  window.EmergencyTokens = EmergencyTokens;
+}
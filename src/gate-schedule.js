@@ -0,0 +1,149 @@
+/**
+ * Gating Schedule for Habla Español
+ * Decides whether the quiz gate is active right now: the master switch,
+ * a "pause until" time and weekly time-of-day windows
+ */
+
+const DEFAULT_SCHEDULE = {
+  windows: [],       // Empty = gate around the clock
+  pausedUntil: 0,    // Timestamp; gate is off until then
+};
+
+class GateSchedule {
+  /**
+   * Parse "HH:MM" into minutes since midnight
+   * @param {string} time
+   * @returns {number|null}
+   */
+  static parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check that a window has weekdays and valid, distinct start/end times
+   * @param {Object} range - { days: [0-6], start: "HH:MM", end: "HH:MM" }
+   * @returns {boolean}
+   */
+  static isValidWindow(range) {
+    if (!range || !Array.isArray(range.days) || range.days.length === 0) return false;
+    if (range.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) return false;
+
+    const start = this.parseTime(range.start);
+    const end = this.parseTime(range.end);
+    return start !== null && end !== null && start !== end;
+  }
+
+  /**
+   * Check whether a time falls inside a window. Windows that end before
+   * they start (22:00–06:00) run past midnight into the next day.
+   * @param {Object} range
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  static isInWindow(range, date) {
+    if (!this.isValidWindow(range)) return false;
+
+    const start = this.parseTime(range.start);
+    const end = this.parseTime(range.end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+
+    if (start < end) {
+      return range.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    const previousDay = (day + 6) % 7;
+    return (range.days.includes(day) && minutes >= start) ||
+      (range.days.includes(previousDay) && minutes < end);
+  }
+
+  /**
+   * Get the schedule from settings, filling in defaults
+   * @param {Object} settings
+   * @returns {Object}
+   */
+  static getSchedule(settings = {}) {
+    return { ...DEFAULT_SCHEDULE, ...(settings.schedule || {}) };
+  }
+
+  /**
+   * Why the gate is off right now, or null if it is active
+   * @param {Object} settings
+   * @param {number} now - Timestamp
+   * @returns {string|null} 'disabled', 'paused', 'schedule' or null
+   */
+  static inactiveReason(settings = {}, now = Date.now()) {
+    if (settings.enabled === false) return 'disabled';
+
+    const schedule = this.getSchedule(settings);
+    if (schedule.pausedUntil > now) return 'paused';
+
+    const windows = schedule.windows.filter(w => this.isValidWindow(w));
+    if (windows.length === 0) return null;
+
+    const date = new Date(now);
+    return windows.some(w => this.isInWindow(w, date)) ? null : 'schedule';
+  }
+
+  /**
+   * Whether the quiz gate is active right now
+   * @param {Object} settings
+   * @param {number} now
+   * @returns {boolean}
+   */
+  static isGating(settings = {}, now = Date.now()) {
+    return this.inactiveReason(settings, now) === null;
+  }
+
+  /**
+   * Find the next time the gate turns on or off
+   * @param {Object} settings
+   * @param {number} now
+   * @returns {number|null} Timestamp, or null if it never changes on its own
+   */
+  static nextChange(settings = {}, now = Date.now()) {
+    if (settings.enabled === false) return null;
+
+    const schedule = this.getSchedule(settings);
+    const candidates = [];
+    if (schedule.pausedUntil > now) {
+      candidates.push(schedule.pausedUntil);
+    }
+
+    // Every window start and end over the coming week; an edge that
+    // doesn't flip the state (overlapping windows) only costs a re-check
+    const today = new Date(now);
+    for (const range of schedule.windows.filter(w => this.isValidWindow(w))) {
+      const start = this.parseTime(range.start);
+      const end = this.parseTime(range.end);
+
+      for (let offset = -1; offset <= 7; offset++) {
+        const y = today.getFullYear();
+        const m = today.getMonth();
+        const d = today.getDate() + offset;
+        if (!range.days.includes(new Date(y, m, d).getDay())) continue;
+
+        const edges = [
+          new Date(y, m, d, 0, start).getTime(),
+          new Date(y, m, end > start ? d : d + 1, 0, end).getTime(),
+        ];
+        candidates.push(...edges.filter(t => t > now));
+      }
+    }
+
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GateSchedule, DEFAULT_SCHEDULE };
+} else if (typeof window !== 'undefined') {
+  window.GateSchedule = GateSchedule;
+}
@@ -0,0 +1,230 @@
+/**
+ * Gated Site Patterns for Habla Español
+ * Validates and matches the user-configurable list of sites that show the quiz
+ */
+
+const DEFAULT_GATED_SITES = [
+  { id: 'news-google-com', pattern: '*://news.google.com/*', enabled: true },
+];
+
+class GatedSites {
+  /**
+   * Turn user input into a Chrome match pattern.
+   * Bare hosts ("reddit.com") gate the domain and all of its subdomains.
+   * @param {string} input
+   * @returns {string}
+   */
+  static normalizePattern(input) {
+    const trimmed = (input || '').trim();
+    if (!trimmed) return '';
+    if (trimmed.includes('://')) return trimmed;
+
+    const slash = trimmed.indexOf('/');
+    const host = slash === -1 ? trimmed : trimmed.slice(0, slash);
+    const path = slash === -1 ? '/*' : trimmed.slice(slash);
+
+    if (host.startsWith('*.') || host === '*') {
+      return `*://${host}${path}`;
+    }
+    return `*://*.${host.replace(/^www\./, '')}${path}`;
+  }
+
+  /**
+   * Check that a pattern is a match pattern Chrome accepts for content scripts
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  static isValidPattern(pattern) {
+    return this.parsePattern(pattern) !== null;
+  }
+
+  /**
+   * Split a match pattern into scheme, host and path parts
+   * @param {string} pattern
+   * @returns {Object|null} { scheme, host, port, path } or null if invalid
+   */
+  static parsePattern(pattern) {
+    const match = /^(\*|https?):\/\/(\*|(?:\*\.)?[a-z0-9.-]+)(?::(\d+|\*))?(\/.*)$/i.exec(pattern || '');
+    if (!match) return null;
+
+    const [, scheme, host, port = null, path] = match;
+    if (host !== '*' && host.replace(/^\*\./, '').split('.').some(part => part.length === 0)) {
+      return null;
+    }
+
+    return { scheme: scheme.toLowerCase(), host: host.toLowerCase(), port, path };
+  }
+
+  /**
+   * Test whether a URL matches a match pattern
+   * @param {string} pattern
+   * @param {string} url
+   * @returns {boolean}
+   */
+  static matches(pattern, url) {
+    const parsed = this.parsePattern(pattern);
+    if (!parsed) return false;
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    const scheme = target.protocol.slice(0, -1);
+    if (parsed.scheme === '*' ? !['http', 'https'].includes(scheme) : parsed.scheme !== scheme) {
+      return false;
+    }
+
+    const hostname = target.hostname.toLowerCase();
+    if (parsed.host.startsWith('*.')) {
+      const domain = parsed.host.slice(2);
+      if (hostname !== domain && !hostname.endsWith('.' + domain)) return false;
+    } else if (parsed.host !== '*' && parsed.host !== hostname) {
+      return false;
+    }
+
+    if (parsed.port !== null && parsed.port !== '*' && parsed.port !== target.port) {
+      return false;
+    }
+
+    const pathRegex = new RegExp('^' + parsed.path
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*') + '$');
+    return pathRegex.test(target.pathname + target.search);
+  }
+
+  /**
+   * Find the first enabled site whose pattern matches a URL
+   * @param {Array} sites
+   * @param {string} url
+   * @returns {Object|null}
+   */
+  static findSite(sites, url) {
+    return sites.find(site => site.enabled && this.matches(site.pattern, url)) || null;
+  }
+
+  /**
+   * Get the match patterns to register the content script for
+   * @param {Array} sites
+   * @returns {Array<string>}
+   */
+  static getMatches(sites) {
+    return [...new Set(sites.filter(site => site.enabled).map(site => site.pattern))];
+  }
+
+  /**
+   * Resolve a site's cooldowns, falling back to the global settings
+   * @param {Object|null} site
+   * @param {Object} settings - Global settings with correctCooldownMin / incorrectCooldownMin
+   * @returns {Object} { correctCooldownMin, incorrectCooldownMin }
+   */
+  static resolveCooldowns(site, settings = {}) {
+    const pick = (key, fallback) => {
+      if (site && typeof site[key] === 'number' && site[key] >= 0) return site[key];
+      if (typeof settings[key] === 'number') return settings[key];
+      return fallback;
+    };
+
+    const correctCooldownMin = pick('correctCooldownMin', 10);
+    return {
+      correctCooldownMin,
+      incorrectCooldownMin: pick('incorrectCooldownMin', 3),
+      perfectCooldownMin: pick('perfectCooldownMin', correctCooldownMin),
+    };
+  }
+
+  /**
+   * Resolve how many phrases a gate session asks and how many must be
+   * answered correctly to pass, preferring per-site overrides
+   * @param {Object|null} site
+   * @param {Object} settings
+   * @returns {Object} { sessionLength, passThreshold }
+   */
+  static resolveSession(site, settings = {}) {
+    const pick = (key) => {
+      if (site && typeof site[key] === 'number' && site[key] >= 1) return Math.round(site[key]);
+      if (typeof settings[key] === 'number' && settings[key] >= 1) return Math.round(settings[key]);
+      return null;
+    };
+
+    const sessionLength = pick('sessionLength') || 1;
+    const passThreshold = Math.min(pick('passThreshold') || sessionLength, sessionLength);
+    return { sessionLength, passThreshold };
+  }
+
+  /**
+   * Grade a finished gate session
+   * @param {Object} results - { correct }
+   * @param {Object} session - { sessionLength, passThreshold }
+   * @returns {string} 'perfect', 'correct' (passed) or 'incorrect' (failed)
+   */
+  static sessionOutcome(results, session) {
+    if (results.correct >= session.sessionLength) return 'perfect';
+    if (results.correct >= session.passThreshold) return 'correct';
+    return 'incorrect';
+  }
+
+  /**
+   * Get the cooldown earned by a quiz outcome on a site
+   * @param {string} outcome - 'perfect', 'correct', 'incorrect' or 'skipped'
+   * @param {Object|null} site
+   * @param {Object} settings
+   * @returns {number} Cooldown in minutes
+   */
+  static cooldownFor(outcome, site, settings = {}) {
+    const cooldowns = this.resolveCooldowns(site, settings);
+    if (outcome === 'perfect') return cooldowns.perfectCooldownMin;
+    return outcome === 'correct' ? cooldowns.correctCooldownMin : cooldowns.incorrectCooldownMin;
+  }
+
+  /**
+   * List the unexpired bypasses, joined with their site entries
+   * @param {Object} bypasses - Map of site id to bypass expiry timestamp
+   * @param {Array} sites
+   * @param {number} now
+   * @returns {Array} [{ siteId, pattern, until }] sorted by expiry
+   */
+  static activeBypasses(bypasses, sites, now = Date.now()) {
+    return Object.entries(bypasses || {})
+      .filter(([, until]) => until > now)
+      .map(([siteId, until]) => {
+        const site = sites.find(s => s.id === siteId);
+        return { siteId, pattern: site ? site.pattern : siteId, until };
+      })
+      .sort((a, b) => a.until - b.until);
+  }
+
+  /**
+   * Create a new site entry from user input
+   * @param {string} input - Match pattern or bare host
+   * @param {Array} existing - Current sites, used to keep ids unique
+   * @returns {Object|null} Site entry or null if the pattern is invalid
+   */
+  static createSite(input, existing = []) {
+    const pattern = this.normalizePattern(input);
+    if (!this.isValidPattern(pattern)) return null;
+
+    const base = pattern
+      .replace(/^[^:]+:\/\//, '')
+      .replace(/[^a-z0-9]+/gi, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase() || 'site';
+    const ids = new Set(existing.map(site => site.id));
+    let id = base;
+    for (let n = 2; ids.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    return { id, pattern, enabled: true };
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GatedSites, DEFAULT_GATED_SITES };
+} else if (typeof window !== 'undefined') {
+  window.GatedSites = GatedSites;
+  window.DEFAULT_GATED_SITES = DEFAULT_GATED_SITES;
+}
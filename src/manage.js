@@ -0,0 +1,421 @@
+/**
+ * Phrase Management Page Controller for Habla Español
+ * Lists leeches with their failure history so they can be re-studied,
+ * phrases that were suspended, buried or flagged, and the order new
+ * phrases will be introduced in. Also exports and imports backups and
+ * Anki text files.
+ */
+
+// Upcoming new phrases shown in the order list
+const UPCOMING_SHOWN = 15;
+
+// Name the direction of cards other than the usual picture card
+function directionLabel(direction) {
+  return direction && direction !== 'image' ? CARD_DIRECTIONS[direction].label : '';
+}
+
+class ManageController {
+  constructor() {
+    this.storage = null;
+    this.srs = null;
+    this.phraseLoader = null;
+    this.settings = {};
+  }
+
+  async init() {
+    try {
+      this.storage = new Storage();
+      await this.storage.init();
+
+      this.phraseLoader = new PhraseLoader();
+      await this.phraseLoader.load('src/data/phrases.json');
+      this.phraseLoader.addCustomDeck(await this.storage.getCustomDeck());
+
+      const { settings } = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      this.applySettings(settings);
+
+      await this.render();
+      this.bindBackup();
+      this.bindAnki();
+    } catch (error) {
+      console.error('Failed to initialize manage page:', error);
+    }
+  }
+
+  applySettings(settings) {
+    this.settings = settings || {};
+    this.srs = new SpacedRepetition(this.storage, this.phraseLoader.getPhrases(), this.settings);
+  }
+
+  async render() {
+    await this.renderLeeches();
+    await this.renderSetAside();
+    await this.renderNewOrder();
+  }
+
+  async renderLeeches() {
+    const leeches = await this.srs.getLeeches();
+    const list = document.getElementById('leechList');
+    list.textContent = '';
+    document.getElementById('leechEmpty').hidden = leeches.length > 0;
+
+    for (const { phrase, direction, progress } of leeches) {
+      list.appendChild(this.createLeechCard(phrase, direction, progress));
+    }
+  }
+
+  /**
+   * Build a leech entry: the phrase, its lapses, what was typed when it
+   * was failed, and actions to bring it back
+   * @param {Object|null} phrase
+   * @param {string} direction
+   * @param {Object} progress
+   * @returns {HTMLElement}
+   */
+  createLeechCard(phrase, direction, progress) {
+    const item = document.createElement('li');
+    item.className = 'phrase-card';
+
+    const head = document.createElement('div');
+    head.className = 'phrase-head';
+
+    const text = document.createElement('span');
+    text.className = 'phrase-text';
+    text.textContent = phrase ? phrase.text : `Phrase #${progress.phraseId}`;
+
+    const english = document.createElement('span');
+    english.className = 'phrase-english';
+    english.textContent = phrase && phrase.english ? phrase.english : '';
+
+    const meta = document.createElement('span');
+    meta.className = 'phrase-meta';
+    meta.textContent = [directionLabel(direction), `${progress.lapses || 0} lapses`, progress.suspended ? 'suspended' : '']
+      .filter(Boolean).join(' · ');
+
+    head.append(text, english, meta);
+
+    const failures = document.createElement('ul');
+    failures.className = 'failures';
+    for (const failure of [...(progress.failures || [])].reverse()) {
+      const entry = document.createElement('li');
+      entry.textContent = new Date(failure.at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) + ' — ';
+
+      const typed = document.createElement('span');
+      typed.className = 'typed';
+      typed.textContent = failure.answer ? `"${failure.answer}"` : '(no answer)';
+
+      entry.appendChild(typed);
+      failures.appendChild(entry);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'phrase-actions';
+
+    const suspend = document.createElement('button');
+    suspend.textContent = progress.suspended ? 'Unsuspend' : 'Suspend';
+    suspend.addEventListener('click', async () => {
+      await this.srs.setSuspended(progress.phraseId, !progress.suspended);
+      await this.render();
+    });
+
+    const relearn = document.createElement('button');
+    relearn.textContent = 'Relearn from scratch';
+    relearn.title = 'Clear the leech flag and start this phrase over as new';
+    relearn.addEventListener('click', async () => {
+      await this.srs.relearn(progress.phraseId);
+      await this.render();
+    });
+
+    actions.append(suspend, relearn);
+    item.append(head, failures, actions);
+    return item;
+  }
+
+  async renderSetAside() {
+    const now = Date.now();
+    const entries = await this.srs.getSetAside(now);
+    const list = document.getElementById('setAsideList');
+    list.textContent = '';
+    document.getElementById('setAsideEmpty').hidden = entries.length > 0;
+
+    for (const { phrase, direction, progress } of entries) {
+      list.appendChild(this.createSetAsideCard(phrase, direction, progress, now));
+    }
+  }
+
+  /**
+   * Build an entry for a suspended, buried or flagged phrase with a
+   * button to undo each state
+   * @param {Object|null} phrase
+   * @param {string} direction
+   * @param {Object} progress
+   * @param {number} now
+   * @returns {HTMLElement}
+   */
+  createSetAsideCard(phrase, direction, progress, now) {
+    const item = document.createElement('li');
+    item.className = 'phrase-card';
+
+    const head = document.createElement('div');
+    head.className = 'phrase-head';
+
+    if (progress.flag) {
+      const dot = document.createElement('span');
+      dot.className = `flag ${progress.flag}`;
+      dot.title = `Flagged ${progress.flag}`;
+      head.appendChild(dot);
+    }
+
+    const text = document.createElement('span');
+    text.className = 'phrase-text';
+    text.textContent = phrase ? phrase.text : `Phrase #${progress.phraseId}`;
+
+    const english = document.createElement('span');
+    english.className = 'phrase-english';
+    english.textContent = phrase && phrase.english ? phrase.english : '';
+
+    const buried = (progress.buriedUntil || 0) > now;
+    const meta = document.createElement('span');
+    meta.className = 'phrase-meta';
+    meta.textContent = [directionLabel(direction), progress.suspended ? 'suspended' : (buried ? 'buried until tomorrow' : '')]
+      .filter(Boolean).join(' · ');
+
+    head.append(text, english, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'phrase-actions';
+
+    const addAction = (label, action) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', async () => {
+        await action();
+        await this.render();
+      });
+      actions.appendChild(button);
+    };
+
+    if (progress.suspended) addAction('Unsuspend', () => this.srs.setSuspended(progress.phraseId, false));
+    if (buried) addAction('Unbury', () => this.srs.unbury(progress.phraseId));
+    if (progress.flag) addAction('Clear flag', () => this.srs.setFlag(progress.phraseId, null));
+
+    item.append(head, actions);
+    return item;
+  }
+
+  /**
+   * List the next new phrases in the order they will be introduced, with
+   * buttons to pin phrases to the front
+   */
+  async renderNewOrder() {
+    const pinnedOrder = this.settings.pinnedOrder || [];
+    const upcoming = (await this.srs.getUpcomingNew()).slice(0, UPCOMING_SHOWN);
+    const list = document.getElementById('newOrderList');
+    list.textContent = '';
+    document.getElementById('newOrderEmpty').hidden = upcoming.length > 0;
+
+    for (const phrase of upcoming) {
+      list.appendChild(this.createOrderCard(phrase, pinnedOrder));
+    }
+  }
+
+  /**
+   * @param {Object} phrase
+   * @param {Array<number>} pinnedOrder
+   * @returns {HTMLElement}
+   */
+  createOrderCard(phrase, pinnedOrder) {
+    const item = document.createElement('li');
+    item.className = 'phrase-card';
+
+    const head = document.createElement('div');
+    head.className = 'phrase-head';
+
+    const text = document.createElement('span');
+    text.className = 'phrase-text';
+    text.textContent = phrase.text;
+
+    const english = document.createElement('span');
+    english.className = 'phrase-english';
+    english.textContent = phrase.english || '';
+
+    const index = pinnedOrder.indexOf(phrase.id);
+    const meta = document.createElement('span');
+    meta.className = 'phrase-meta muted';
+    meta.textContent = index >= 0 ? 'pinned' : `complexity ${phrase.complexity || 0}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'phrase-actions';
+
+    const addAction = (label, order) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => this.savePinnedOrder(order));
+      actions.appendChild(button);
+    };
+
+    if (index < 0) {
+      addAction('Pin next', [...pinnedOrder, phrase.id]);
+    } else {
+      if (index > 0) {
+        const order = [...pinnedOrder];
+        [order[index - 1], order[index]] = [order[index], order[index - 1]];
+        addAction('Move up', order);
+      }
+      addAction('Unpin', pinnedOrder.filter(id => id !== phrase.id));
+    }
+
+    head.append(text, english, meta, actions);
+    item.appendChild(head);
+    return item;
+  }
+
+  /**
+   * Save a new pinned order. Pinning only has an effect with the pinned
+   * order, so switch to it.
+   * @param {Array<number>} pinnedOrder
+   */
+  async savePinnedOrder(pinnedOrder) {
+    const { settings } = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      settings: { pinnedOrder, newOrder: 'pinned' },
+    });
+    this.applySettings(settings);
+    await this.renderNewOrder();
+  }
+
+  bindBackup() {
+    const strategy = document.getElementById('importStrategy');
+    for (const [value, label] of Object.entries(MERGE_STRATEGIES)) {
+      strategy.add(new Option(label, value));
+    }
+
+    document.getElementById('exportBtn').addEventListener('click', () => this.exportProgress());
+    document.getElementById('importBtn').addEventListener('click', () => this.importProgress());
+  }
+
+  async exportProgress() {
+    try {
+      const backup = await Backup.create(this.storage);
+      this.download(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }), Backup.fileName());
+      this.setBackupStatus(`Exported ${backup.progress.length} cards and ${backup.reviewLog.length} answers.`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.setBackupStatus('Export failed.', true);
+    }
+  }
+
+  async importProgress() {
+    const file = document.getElementById('importFile').files[0];
+    const strategy = document.getElementById('importStrategy').value;
+    if (!file) {
+      this.setBackupStatus('Choose a backup file first.', true);
+      return;
+    }
+    if (strategy === 'replace' && !confirm('Replace all progress with this file? Your current progress will be lost.')) {
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.setBackupStatus('This file is not valid JSON.', true);
+      return;
+    }
+
+    try {
+      const summary = await Backup.restore(this.storage, data, strategy);
+      if (strategy === 'replace') {
+        // Keep sync from merging the replaced progress back in
+        await chrome.runtime.sendMessage({ type: 'PROGRESS_RESET' });
+      }
+      const dropped = summary.dropped > 0 ? `, ${summary.dropped} left out as their phrase is not here` : '';
+      this.setBackupStatus(`Imported: ${summary.added} added, ${summary.updated} updated, ` +
+        `${summary.kept} kept as they were, ${summary.logEntries} answers added to the history, ` +
+        `${summary.phrases} imported phrases${dropped}.`);
+
+      this.phraseLoader.addCustomDeck(await this.storage.getCustomDeck());
+      this.applySettings(this.settings);
+      await this.render();
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.setBackupStatus(error.message || 'Import failed.', true);
+    }
+  }
+
+  setBackupStatus(message, isError = false) {
+    this.setStatus('backupStatus', message, isError);
+  }
+
+  bindAnki() {
+    document.getElementById('ankiExportBtn').addEventListener('click', () => this.exportAnki());
+    document.getElementById('ankiImportBtn').addEventListener('click', () => this.importAnki());
+  }
+
+  async exportAnki() {
+    try {
+      const phrases = this.phraseLoader.getPhrases();
+      const progress = new Map((await this.storage.getAllProgress()).map(p => [p.phraseId, p]));
+      const text = AnkiText.export(phrases, progress);
+
+      this.download(new Blob([text], { type: 'text/tab-separated-values' }),
+        `habla-espanol-anki-${DailyQuota.dayKey(Date.now())}.txt`);
+      this.setStatus('ankiStatus', `Exported ${phrases.length} phrases.`);
+    } catch (error) {
+      console.error('Anki export failed:', error);
+      this.setStatus('ankiStatus', 'Export failed.', true);
+    }
+  }
+
+  async importAnki() {
+    const file = document.getElementById('ankiFile').files[0];
+    if (!file) {
+      this.setStatus('ankiStatus', 'Choose an Anki text export first.', true);
+      return;
+    }
+
+    try {
+      const parsed = AnkiText.parse(await file.text());
+      const deck = { phrases: this.phraseLoader.getPhrases(), categories: this.phraseLoader.getCategories() };
+      const imported = AnkiText.toPhrases(parsed, deck, { frontIs: document.getElementById('ankiFront').value });
+
+      const missing = imported.incomplete > 0 ? `, ${imported.incomplete} without an English side` : '';
+      if (imported.phrases.length === 0) {
+        this.setStatus('ankiStatus', `Nothing to import: ${imported.skipped} notes were empty or already in the deck${missing}.`, true);
+        return;
+      }
+
+      await this.storage.addCustomDeck(imported);
+      this.phraseLoader.addCustomDeck(imported);
+      this.applySettings(this.settings);
+      await this.render();
+
+      this.setStatus('ankiStatus', `Imported ${imported.phrases.length} phrases ` +
+        `(${imported.categories.length} new categories, ${imported.progress.length} with a schedule), ` +
+        `skipped ${imported.skipped} already in the deck or empty${missing}.`);
+    } catch (error) {
+      console.error('Anki import failed:', error);
+      this.setStatus('ankiStatus', 'Import failed.', true);
+    }
+  }
+
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  setStatus(id, message, isError = false) {
+    const status = document.getElementById(id);
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new ManageController().init();
+});
@@ -0,0 +1,164 @@
+/**
+ * Settings Migrations for Habla Español
+ * chrome.storage.local carries a `settingsVersion`. When the extension is
+ * updated, every step newer than the stored version runs once, in order,
+ * so data written by an older release is brought up to date. The
+ * IndexedDB schema has its own steps, see DB_MIGRATIONS in storage.js.
+ *
+ * Steps must be safe to run again: a step whose result could not be saved
+ * is retried on the next start.
+ */
+
+const SETTINGS_VERSION_KEY = 'settingsVersion';
+
+/**
+ * Settings for a fresh install. A function, since the random order gets
+ * its own seed.
+ * @returns {Object}
+ */
+function defaultSettings() {
+  return {
+    enabled: true,
+    strictAccents: false,
+    correctCooldownMin: 10,
+    incorrectCooldownMin: 3,
+    gateMode: 'cooldown',
+    dailyQuota: DEFAULT_DAILY_QUOTA,
+    sessionLength: 1,
+    weeklyTokens: DEFAULT_WEEKLY_TOKENS,
+    scheduler: 'sm2',
+    targetRetention: 0.9,
+    learningSteps: [1, 10, 60],
+    relearningSteps: [10],
+    newOrder: 'easiest',
+    newOrderSeed: Math.floor(Math.random() * 2 ** 31) + 1,
+    pinnedOrder: [],
+    activeCategories: [],
+    cardDirections: ['image'],
+    newPerDay: 10,
+    reviewsPerDay: 100,
+    limitFallback: 'redrill',
+    leechThreshold: 8,
+    leechAction: 'suspend',
+    schedule: DEFAULT_SCHEDULE,
+    syncEnabled: false,
+  };
+}
+
+// Scheduling settings a fresh install starts with but an update leaves
+// unset, so existing users keep SpacedRepetition's neutral defaults (no
+// steps, no caps, no leeches, file order) until they opt in
+const FRESH_INSTALL_ONLY = [
+  'learningSteps', 'relearningSteps', 'newOrder', 'newPerDay', 'reviewsPerDay',
+  'limitFallback', 'leechThreshold', 'leechAction',
+];
+
+// Ordered steps; each takes a copy of everything in chrome.storage.local
+// and returns the new contents. Append new steps with the next version.
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Drop the global bypassUntil, replaced by per-site bypasses',
+    migrate(data) {
+      delete data.bypassUntil;
+      return data;
+    },
+  },
+  {
+    version: 2,
+    description: 'Fill in defaults for settings added since install',
+    migrate(data) {
+      const defaults = defaultSettings();
+      for (const key of FRESH_INSTALL_ONLY) delete defaults[key];
+      data.settings = { ...defaults, ...(data.settings || {}) };
+      return data;
+    },
+  },
+];
+
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS[SETTINGS_MIGRATIONS.length - 1].version;
+
+class Migrations {
+  /**
+   * Apply the steps newer than the data's version. Each step works on its
+   * own copy, so one that throws leaves the data as the previous step
+   * left it, and it and the steps after it are retried next time.
+   * @param {Object} data - Everything in chrome.storage.local
+   * @param {Array} [steps]
+   * @returns {Object} { data, version, applied, error }
+   */
+  static migrate(data, steps = SETTINGS_MIGRATIONS) {
+    let current = Migrations.clone(data);
+    let version = current[SETTINGS_VERSION_KEY] || 0;
+    const applied = [];
+
+    for (const step of steps) {
+      if (step.version <= version) continue;
+
+      try {
+        current = { ...step.migrate(Migrations.clone(current)), [SETTINGS_VERSION_KEY]: step.version };
+      } catch (error) {
+        return { data: current, version, applied, error };
+      }
+      version = step.version;
+      applied.push(step.version);
+    }
+
+    return { data: current, version, applied, error: null };
+  }
+
+  /**
+   * What to write back after migrating: changed keys and removed keys
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {Object} { set, remove }
+   */
+  static diff(before, after) {
+    const set = {};
+    for (const [key, value] of Object.entries(after)) {
+      if (JSON.stringify(value) !== JSON.stringify(before[key])) {
+        set[key] = value;
+      }
+    }
+    const remove = Object.keys(before).filter(key => !(key in after));
+    return { set, remove };
+  }
+
+  static clone(data) {
+    return JSON.parse(JSON.stringify(data || {}));
+  }
+
+  /**
+   * Run pending steps against chrome.storage.local. Removals are written
+   * before the new version, so an interrupted write reruns the steps
+   * rather than skipping them.
+   * @returns {Promise<Object>} Result of migrate()
+   */
+  static async migrateStorage() {
+    const before = await chrome.storage.local.get(null);
+    const result = Migrations.migrate(before);
+
+    if (result.applied.length > 0) {
+      const { set, remove } = Migrations.diff(before, result.data);
+      if (remove.length > 0) {
+        await chrome.storage.local.remove(remove);
+      }
+      await chrome.storage.local.set(set);
+    }
+
+    if (result.error) {
+      console.error(`Settings migration to version ${result.version + 1} failed:`, result.error);
+    }
+    return result;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Migrations, SETTINGS_MIGRATIONS, SETTINGS_VERSION, defaultSettings };
+} else if (typeof window !== 'undefined') {
+  window.Migrations = Migrations;
+  window.SETTINGS_MIGRATIONS = SETTINGS_MIGRATIONS;
+  window.SETTINGS_VERSION = SETTINGS_VERSION;
+  window.defaultSettings = defaultSettings;
+}
@@ -27,6 +27,18 @@ class PhraseLoader {
     }
   }
 
+  /**
+   * Add imported phrases and categories after the bundled ones. Ids
+   * already present are left alone.
+   * @param {Object} deck - { phrases, categories } from storage
+   */
+  addCustomDeck({ phrases = [], categories = [] }) {
+    const phraseIds = new Set(this.phrases.map(p => p.id));
+    const categoryIds = new Set(this.categories.map(c => c.id));
+    this.phrases = [...this.phrases, ...phrases.filter(p => !phraseIds.has(p.id))];
+    this.categories = [...this.categories, ...categories.filter(c => !categoryIds.has(c.id))];
+  }
+
   /**
    * Get all phrases
    * @returns {Array}
@@ -101,6 +113,43 @@ class PhraseLoader {
     return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
   }
 
+  /**
+   * Generate SVG prompt for a text card: the English or Spanish phrase,
+   * or the emoji alone
+   * @param {Object} phrase
+   * @param {string} direction - 'en-es', 'es-en' or 'emoji'
+   * @returns {string} SVG data URL
+   */
+  generatePromptImage(phrase, direction) {
+    const category = this.getCategory(phrase.category);
+    const bgColor = category?.color || '#6366f1';
+
+    let prompt;
+    if (direction === 'emoji') {
+      prompt = `<text x="200" y="175" font-size="110" text-anchor="middle">${phrase.emoji || '💬'}</text>`;
+    } else {
+      const text = direction === 'es-en' ? phrase.text : phrase.english;
+      const size = text.length > 28 ? 20 : 28;
+      prompt = `<text x="200" y="160" font-family="system-ui, -apple-system, sans-serif" font-size="${size}" font-weight="600" fill="white" text-anchor="middle">${this.escapeXml(text)}</text>`;
+    }
+
+    const svg = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">
+        <defs>
+          <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+            <stop offset="0%" style="stop-color:${bgColor};stop-opacity:1" />
+            <stop offset="100%" style="stop-color:${this.darkenColor(bgColor, 30)};stop-opacity:1" />
+          </linearGradient>
+        </defs>
+        <rect width="400" height="300" fill="url(#bg)" rx="24"/>
+        ${prompt}
+        <text x="200" y="260" font-family="system-ui, -apple-system, sans-serif" font-size="12" fill="white" text-anchor="middle" opacity="0.6">${this.escapeXml(category?.name || '')}</text>
+      </svg>
+    `.trim();
+
+    return 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svg)));
+  }
+
   /**
    * Escape XML special characters
    * @param {string} str
@@ -8,6 +8,9 @@ class PopupController {
     this.storage = null;
     this.srs = null;
     this.phrases = [];
+    this.categories = [];
+    this.schedule = null;
+    this.grading = null;
   }
 
   async init() {
@@ -16,16 +19,27 @@ class PopupController {
       this.storage = new Storage();
       await this.storage.init();
 
-      // Load phrases from JSON
+      // Load phrases from JSON, then any imported ones
       const response = await fetch(chrome.runtime.getURL('src/data/phrases.json'));
       const data = await response.json();
-      this.phrases = data.phrases || [];
+      const custom = await this.storage.getCustomDeck();
+      this.phrases = [...(data.phrases || []), ...custom.phrases];
+      this.categories = [...(data.categories || []), ...custom.categories];
 
-      // Initialize SRS
-      this.srs = new SpacedRepetition(this.storage, this.phrases);
+      // Initialize SRS with the configured scheduler
+      const { settings } = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      this.srs = this.createSrs(settings);
 
       // Update stats display
       await this.updateStats();
+      await this.loadCategories(settings);
+      await this.loadGatedSites();
+      await this.loadBypasses();
+      await this.loadGateMode();
+      await this.loadSchedule();
+      await this.loadEmergencyTokens();
+      await this.loadGrading();
+      await this.loadSync();
 
       // Set up event listeners
       this.setupEventListeners();
@@ -36,11 +50,18 @@ class PopupController {
   }
 
   setupEventListeners() {
-    // Practice Now - opens quiz screen in new tab
-    document.getElementById('practiceBtn').addEventListener('click', () => {
-      chrome.tabs.create({
-        url: chrome.runtime.getURL('src/quiz.html')
-      });
+    // Practice Now - opens quiz screen in new tab, returning to the
+    // current tab's site afterwards when it is a gated one
+    document.getElementById('practiceBtn').addEventListener('click', async () => {
+      let url = chrome.runtime.getURL('src/quiz.html');
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab && tab.url) {
+        const { site } = await chrome.runtime.sendMessage({ type: 'FIND_GATED_SITE', url: tab.url });
+        if (site) {
+          url += '?return=' + encodeURIComponent(tab.url);
+        }
+      }
+      chrome.tabs.create({ url });
       window.close();
     });
 
@@ -52,15 +73,195 @@ class PopupController {
       window.close();
     });
 
+    // Manage Phrases - leeches and suspended phrases
+    document.getElementById('manageBtn').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/manage.html') });
+      window.close();
+    });
+
     // Reset Progress
     document.getElementById('resetBtn').addEventListener('click', async () => {
       if (confirm('Are you sure you want to reset all progress? This cannot be undone.')) {
         await this.storage.clearAll();
+        await chrome.runtime.sendMessage({ type: 'PROGRESS_RESET' });
         await this.updateStats();
         alert('Progress has been reset.');
       }
     });
 
+    // Gate mode
+    document.getElementById('gateMode').addEventListener('change', async (e) => {
+      await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: { gateMode: e.target.value } });
+      await this.loadGateMode();
+    });
+
+    document.getElementById('dailyQuota').addEventListener('change', async (e) => {
+      const dailyQuota = Math.max(1, Math.round(Number(e.target.value) || 1));
+      await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: { dailyQuota } });
+      await this.loadGateMode();
+    });
+
+    // Master switch, pause and gating windows
+    document.getElementById('enabledToggle').addEventListener('change', async (e) => {
+      await this.updateSettings({ enabled: e.target.checked });
+      await this.loadSchedule();
+    });
+
+    document.getElementById('pauseHourBtn').addEventListener('click', async () => {
+      await this.updateSchedule({ pausedUntil: Date.now() + 60 * 60 * 1000 });
+    });
+
+    document.getElementById('pauseTomorrowBtn').addEventListener('click', async () => {
+      const tomorrow = new Date();
+      tomorrow.setHours(24, 0, 0, 0);
+      await this.updateSchedule({ pausedUntil: tomorrow.getTime() });
+    });
+
+    document.getElementById('resumeBtn').addEventListener('click', async () => {
+      await this.updateSchedule({ pausedUntil: 0 });
+    });
+
+    document.getElementById('windowForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const days = [...document.querySelectorAll('#dayPicker input:checked')].map(input => Number(input.value));
+      const range = {
+        days,
+        start: document.getElementById('windowStart').value,
+        end: document.getElementById('windowEnd').value,
+      };
+      if (!GateSchedule.isValidWindow(range)) {
+        document.getElementById('windowError').textContent = 'Pick at least one day and two different times';
+        return;
+      }
+      document.getElementById('windowError').textContent = '';
+      await this.updateSchedule({ windows: [...this.schedule.windows, range] });
+    });
+
+    document.getElementById('scheduler').addEventListener('change', async (e) => {
+      const settings = await this.updateSettings({ scheduler: e.target.value });
+      // Carry every phrase's history over to the new algorithm
+      this.srs = this.createSrs(settings);
+      await this.srs.migrateProgress();
+      await this.loadGrading();
+    });
+
+    document.getElementById('targetRetention').addEventListener('change', async (e) => {
+      const percent = Math.min(99, Math.max(70, Math.round(Number(e.target.value) || 90)));
+      const settings = await this.updateSettings({ targetRetention: percent / 100 });
+      this.srs = this.createSrs(settings);
+      await this.loadGrading();
+    });
+
+    for (const key of ['learningSteps', 'relearningSteps']) {
+      document.getElementById(key).addEventListener('change', async (e) => {
+        const steps = SpacedRepetition.parseSteps(e.target.value);
+        if (!steps) {
+          document.getElementById('stepsError').textContent = 'Use minutes like "1 10 60" or "1m 1h"';
+          return;
+        }
+        document.getElementById('stepsError').textContent = '';
+        const settings = await this.updateSettings({ [key]: steps });
+        this.srs = this.createSrs(settings);
+        await this.loadGrading();
+      });
+    }
+
+    for (const key of ['newPerDay', 'reviewsPerDay']) {
+      document.getElementById(key).addEventListener('change', async (e) => {
+        // A cleared field lifts the cap
+        const value = e.target.value.trim() === '' ? null : Math.max(0, Math.round(Number(e.target.value) || 0));
+        const settings = await this.updateSettings({ [key]: value });
+        this.srs = this.createSrs(settings);
+        await this.loadGrading();
+      });
+    }
+
+    document.getElementById('leechThreshold').addEventListener('change', async (e) => {
+      const leechThreshold = Math.max(1, Math.round(Number(e.target.value) || 1));
+      const settings = await this.updateSettings({ leechThreshold });
+      this.srs = this.createSrs(settings);
+    });
+
+    document.getElementById('leechAction').addEventListener('change', async (e) => {
+      const settings = await this.updateSettings({ leechAction: e.target.value });
+      this.srs = this.createSrs(settings);
+    });
+
+    document.getElementById('cardDirections').addEventListener('change', async () => {
+      const checked = [...document.querySelectorAll('#cardDirections input:checked')].map(input => input.value);
+      const settings = await this.updateSettings({ cardDirections: Cards.directions(checked) });
+      this.srs = this.createSrs(settings);
+      await this.loadGrading();
+      await this.loadCategories(settings);
+      await this.updateStats();
+    });
+
+    document.getElementById('categoryList').addEventListener('change', async () => {
+      const activeCategories = [...document.querySelectorAll('#categoryList input:checked')].map(input => input.value);
+      const settings = await this.updateSettings({ activeCategories });
+      this.srs = this.createSrs(settings);
+      await this.updateStats();
+    });
+
+    document.getElementById('newOrder').addEventListener('change', async (e) => {
+      const changes = { newOrder: e.target.value };
+      if (e.target.value === 'random' && !this.newOrderSeed) {
+        // Fixed once, so the shuffled order holds across sessions
+        changes.newOrderSeed = Math.floor(Math.random() * 2 ** 31) + 1;
+      }
+      const settings = await this.updateSettings(changes);
+      this.srs = this.createSrs(settings);
+      await this.loadGrading();
+    });
+
+    document.getElementById('limitFallback').addEventListener('change', async (e) => {
+      const settings = await this.updateSettings({ limitFallback: e.target.value });
+      this.srs = this.createSrs(settings);
+    });
+
+    for (const key of ['fastSec', 'slowSec']) {
+      document.getElementById(key).addEventListener('change', async (e) => {
+        const value = Math.max(1, Math.round(Number(e.target.value) || 1));
+        await this.updateSettings({ grading: { ...this.grading, [key]: value } });
+        await this.loadGrading();
+      });
+    }
+
+    document.getElementById('weeklyTokens').addEventListener('change', async (e) => {
+      const weeklyTokens = Math.max(0, Math.round(Number(e.target.value) || 0));
+      await this.updateSettings({ weeklyTokens });
+      await this.loadEmergencyTokens();
+    });
+
+    // Progress sync
+    document.getElementById('syncToggle').addEventListener('change', async (e) => {
+      await this.updateSettings({ syncEnabled: e.target.checked });
+      await this.loadSync();
+    });
+
+    document.getElementById('syncNowBtn').addEventListener('click', async () => {
+      const button = document.getElementById('syncNowBtn');
+      button.disabled = true;
+      await chrome.runtime.sendMessage({ type: 'SYNC_NOW' });
+      button.disabled = false;
+      await this.loadSync();
+      await this.updateStats();
+    });
+
+    // Add gated site
+    document.getElementById('siteForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const input = document.getElementById('siteInput');
+      const response = await chrome.runtime.sendMessage({ type: 'ADD_GATED_SITE', pattern: input.value });
+      if (response.error) {
+        this.setSiteError(response.error);
+        return;
+      }
+      input.value = '';
+      this.setSiteError('');
+      this.renderGatedSites(response.sites);
+    });
+
     // Run Tests link
     document.getElementById('testsLink').addEventListener('click', (e) => {
       e.preventDefault();
@@ -71,6 +272,381 @@ class PopupController {
     });
   }
 
+  async loadGatedSites() {
+    const { sites } = await chrome.runtime.sendMessage({ type: 'GET_GATED_SITES' });
+    this.renderGatedSites(sites || []);
+  }
+
+  renderGatedSites(sites) {
+    const list = document.getElementById('siteList');
+    list.textContent = '';
+
+    for (const site of sites) {
+      const item = document.createElement('li');
+      item.className = 'site-item' + (site.enabled ? '' : ' disabled');
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = site.enabled;
+      toggle.title = site.enabled ? 'Disable' : 'Enable';
+      toggle.addEventListener('change', async () => {
+        const response = await chrome.runtime.sendMessage({
+          type: 'UPDATE_GATED_SITE',
+          id: site.id,
+          changes: { enabled: toggle.checked },
+        });
+        if (response.sites) this.renderGatedSites(response.sites);
+      });
+
+      const pattern = document.createElement('span');
+      pattern.className = 'site-pattern';
+      pattern.textContent = site.pattern;
+      pattern.title = site.pattern;
+
+      const cooldowns = this.createCooldownEditor(site);
+
+      const edit = document.createElement('button');
+      edit.textContent = '⏱';
+      edit.title = 'Cooldowns and session';
+      edit.addEventListener('click', () => cooldowns.classList.toggle('open'));
+
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = 'Remove';
+      remove.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'REMOVE_GATED_SITE', id: site.id });
+        if (response.sites) this.renderGatedSites(response.sites);
+      });
+
+      item.append(toggle, pattern, edit, remove);
+      list.append(item, cooldowns);
+    }
+  }
+
+  /**
+   * Build the per-site cooldown and gate session override inputs. Blank
+   * means "use the default".
+   * @param {Object} site
+   * @returns {HTMLElement}
+   */
+  createCooldownEditor(site) {
+    const panel = document.createElement('li');
+    panel.className = 'site-cooldowns';
+
+    const fields = [
+      ['correctCooldownMin', 'Passed (min)', 0],
+      ['incorrectCooldownMin', 'Failed (min)', 0],
+      ['perfectCooldownMin', 'Perfect (min)', 0],
+      ['sessionLength', 'Phrases', 1],
+      ['passThreshold', 'To pass', 1],
+    ];
+
+    for (const [key, text, min] of fields) {
+      const label = document.createElement('label');
+      label.textContent = text;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(min);
+      input.placeholder = 'default';
+      input.value = typeof site[key] === 'number' ? site[key] : '';
+      input.addEventListener('change', async () => {
+        const value = input.value === '' ? null : Math.max(min, Number(input.value));
+        await chrome.runtime.sendMessage({
+          type: 'UPDATE_GATED_SITE',
+          id: site.id,
+          changes: { [key]: value },
+        });
+      });
+
+      label.appendChild(input);
+      panel.appendChild(label);
+    }
+
+    return panel;
+  }
+
+  async loadGateMode() {
+    const [{ settings }, { quota }] = await Promise.all([
+      chrome.runtime.sendMessage({ type: 'GET_SETTINGS' }),
+      chrome.runtime.sendMessage({ type: 'GET_QUOTA' }),
+    ]);
+    const quotaMode = settings.gateMode === 'quota';
+
+    document.getElementById('gateMode').value = quotaMode ? 'quota' : 'cooldown';
+    document.getElementById('dailyQuota').value = quota.target;
+    document.getElementById('quotaRow').hidden = !quotaMode;
+
+    const progress = document.getElementById('quotaProgress');
+    progress.hidden = !quotaMode;
+    progress.textContent = quota.unlocked
+      ? 'Day earned — gated sites unlocked until midnight'
+      : `${quota.correct} / ${quota.target} correct today`;
+  }
+
+  async updateSettings(changes) {
+    const response = await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: changes });
+    return response.settings;
+  }
+
+  async updateSchedule(changes) {
+    await this.updateSettings({ schedule: { ...this.schedule, ...changes } });
+    await this.loadSchedule();
+  }
+
+  async loadSchedule() {
+    const { settings } = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    this.schedule = GateSchedule.getSchedule(settings);
+
+    document.getElementById('enabledToggle').checked = settings.enabled !== false;
+    document.getElementById('resumeBtn').hidden = !(this.schedule.pausedUntil > Date.now());
+
+    const status = document.getElementById('scheduleStatus');
+    const reason = GateSchedule.inactiveReason(settings);
+    const next = GateSchedule.nextChange(settings);
+    const at = next ? new Date(next).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) : '';
+    if (reason === 'disabled') {
+      status.textContent = 'Gate is switched off';
+    } else if (reason === 'paused') {
+      status.textContent = `Paused until ${at}`;
+    } else if (reason === 'schedule') {
+      status.textContent = `Outside gating hours until ${at}`;
+    } else {
+      status.textContent = next ? `Gating until ${at}` : 'Gating around the clock';
+    }
+
+    this.renderDayPicker();
+    this.renderWindows();
+  }
+
+  renderDayPicker() {
+    const picker = document.getElementById('dayPicker');
+    if (picker.childElementCount > 0) return;
+
+    const names = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+    names.forEach((name, day) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = day;
+      input.checked = day >= 1 && day <= 5;
+      label.append(input, name);
+      picker.appendChild(label);
+    });
+  }
+
+  renderWindows() {
+    const list = document.getElementById('windowList');
+    list.textContent = '';
+
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    this.schedule.windows.forEach((range, index) => {
+      const item = document.createElement('li');
+      item.className = 'site-item';
+
+      const text = document.createElement('span');
+      text.className = 'site-pattern';
+      text.textContent = `${range.days.map(day => names[day]).join(' ')} ${range.start}–${range.end}`;
+      text.title = text.textContent;
+
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = 'Remove';
+      remove.addEventListener('click', async () => {
+        await this.updateSchedule({ windows: this.schedule.windows.filter((_, i) => i !== index) });
+      });
+
+      item.append(text, remove);
+      list.appendChild(item);
+    });
+  }
+
+  createSrs(settings) {
+    return new SpacedRepetition(this.storage, this.phrases, settings);
+  }
+
+  async loadGrading() {
+    const { settings } = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    this.grading = settings.grading || {};
+
+    const fsrs = settings.scheduler === 'fsrs';
+    document.getElementById('scheduler').value = fsrs ? 'fsrs' : 'sm2';
+    document.getElementById('retentionRow').hidden = !fsrs;
+    document.getElementById('targetRetention').value = Math.round((settings.targetRetention || 0.9) * 100);
+    document.getElementById('learningSteps').value = (settings.learningSteps || []).join(' ');
+    document.getElementById('relearningSteps').value = (settings.relearningSteps || []).join(' ');
+
+    const counts = await this.storage.getDailyCounts();
+    const cap = (value) => (typeof value === 'number' ? value : '∞');
+    this.renderCardDirections(Cards.directions(settings.cardDirections));
+    this.newOrderSeed = settings.newOrderSeed || null;
+    document.getElementById('newOrder').value = NEW_ORDERS.includes(settings.newOrder) ? settings.newOrder : 'sequential';
+    document.getElementById('newPerDay').value = typeof settings.newPerDay === 'number' ? settings.newPerDay : '';
+    document.getElementById('reviewsPerDay').value = typeof settings.reviewsPerDay === 'number' ? settings.reviewsPerDay : '';
+    document.getElementById('limitFallback').value = settings.limitFallback === 'unlock' ? 'unlock' : 'redrill';
+    document.getElementById('leechThreshold').value = typeof settings.leechThreshold === 'number' ? settings.leechThreshold : '';
+    document.getElementById('leechAction').value = settings.leechAction === 'tag' ? 'tag' : 'suspend';
+    document.getElementById('dailyCounts').textContent =
+      `Today: ${counts.newCount}/${cap(settings.newPerDay)} new · ${counts.reviewCount}/${cap(settings.reviewsPerDay)} reviews`;
+
+    const grading = { ...DEFAULT_GRADING, ...this.grading };
+    document.getElementById('fastSec').value = grading.fastSec;
+    document.getElementById('slowSec').value = grading.slowSec;
+  }
+
+  async loadEmergencyTokens() {
+    const { tokens, log } = await chrome.runtime.sendMessage({ type: 'GET_EMERGENCY_TOKENS' });
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    document.getElementById('weeklyTokens').value = tokens.allowance;
+    document.getElementById('tokenStatus').textContent =
+      `${tokens.remaining} of ${tokens.allowance} left this week · ` +
+      `used ${EmergencyTokens.countSince(log, now - 7 * day)} in 7 days, ` +
+      `${EmergencyTokens.countSince(log, now - 30 * day)} in 30 days`;
+
+    const list = document.getElementById('bypassLogList');
+    list.textContent = '';
+
+    // Most recent first
+    for (const entry of log.slice(-5).reverse()) {
+      const item = document.createElement('li');
+      item.className = 'unlock-item';
+
+      const pattern = document.createElement('span');
+      pattern.className = 'site-pattern';
+      pattern.textContent = entry.pattern || entry.siteId;
+      pattern.title = pattern.textContent;
+
+      const at = document.createElement('span');
+      at.className = 'unlock-remaining';
+      at.textContent = new Date(entry.at).toLocaleString([], {
+        weekday: 'short', hour: '2-digit', minute: '2-digit',
+      });
+
+      item.append(pattern, at);
+      list.appendChild(item);
+    }
+  }
+
+  async loadSync() {
+    const { settings } = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    const { status } = await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+    const enabled = Boolean(settings.syncEnabled);
+
+    document.getElementById('syncToggle').checked = enabled;
+    document.getElementById('syncNowBtn').hidden = !enabled;
+    document.getElementById('syncStatus').textContent = enabled
+      ? Sync.describe(status)
+      : 'Off — progress stays on this device.';
+    document.getElementById('syncError').textContent = enabled && status && status.error
+      ? `Last sync failed: ${status.error}`
+      : '';
+  }
+
+  async loadBypasses() {
+    const { bypasses } = await chrome.runtime.sendMessage({ type: 'GET_BYPASSES' });
+    this.renderBypasses(bypasses || []);
+  }
+
+  renderBypasses(bypasses) {
+    const section = document.getElementById('unlockSection');
+    const list = document.getElementById('unlockList');
+    list.textContent = '';
+    section.hidden = bypasses.length === 0;
+
+    for (const bypass of bypasses) {
+      const item = document.createElement('li');
+      item.className = 'unlock-item';
+
+      const pattern = document.createElement('span');
+      pattern.className = 'site-pattern';
+      pattern.textContent = bypass.pattern;
+      pattern.title = bypass.pattern;
+
+      const remaining = document.createElement('span');
+      remaining.className = 'unlock-remaining';
+      remaining.textContent = `${Math.max(1, Math.ceil((bypass.until - Date.now()) / 60000))}m`;
+
+      const revoke = document.createElement('button');
+      revoke.className = 'btn-danger';
+      revoke.textContent = 'Revoke';
+      revoke.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'CLEAR_BYPASS', siteId: bypass.siteId });
+        await this.loadBypasses();
+        await this.loadGateMode();
+      });
+
+      item.append(pattern, remaining, revoke);
+      list.appendChild(item);
+    }
+  }
+
+  renderCardDirections(enabled) {
+    const list = document.getElementById('cardDirections');
+    list.textContent = '';
+
+    for (const [direction, { label }] of Object.entries(CARD_DIRECTIONS)) {
+      const item = document.createElement('li');
+      item.className = 'category-item';
+
+      const row = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = direction;
+      input.checked = enabled.includes(direction);
+
+      const name = document.createElement('span');
+      name.className = 'category-name';
+      name.textContent = label;
+
+      row.append(input, name);
+      item.appendChild(row);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * List categories with a checkbox and how many of their phrases are due
+   * @param {Object} settings
+   */
+  async loadCategories(settings) {
+    const active = new Set(settings.activeCategories || []);
+    const stats = await this.srs.getCategoryStats();
+    const list = document.getElementById('categoryList');
+    list.textContent = '';
+
+    for (const category of this.categories) {
+      const counts = stats[category.id];
+      if (!counts) continue;
+
+      const item = document.createElement('li');
+      item.className = 'category-item';
+
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = category.id;
+      input.checked = active.has(category.id);
+
+      const name = document.createElement('span');
+      name.className = 'category-name';
+      name.textContent = `${category.emoji || ''} ${category.name}`.trim();
+
+      const due = document.createElement('span');
+      due.className = 'category-due' + (counts.dueNow > 0 ? ' has-due' : '');
+      due.textContent = `${counts.dueNow} due · ${counts.unseen} new`;
+
+      label.append(input, name, due);
+      item.appendChild(label);
+      list.appendChild(item);
+    }
+  }
+
+  setSiteError(message) {
+    document.getElementById('siteError').textContent = message;
+  }
+
   async updateStats() {
     try {
       const stats = await this.srs.getStats();
@@ -9,10 +9,25 @@ class QuizController {
     this.srs = null;
     this.phraseLoader = null;
     this.currentPhrase = null;
+    this.direction = 'image';
+    this.cardKey = null;
+    this.source = null;
     this.attempts = 0;
+    this.shownAt = 0;
+    this.lastMatch = null;
     this.revealTimer = null;
-    this.isTestMode = new URLSearchParams(window.location.search).has('test');
-    this.settings = { correctCooldownMin: 10, incorrectCooldownMin: 3 };
+    this.flag = null;
+    const params = new URLSearchParams(window.location.search);
+    this.isTestMode = params.has('test');
+    // Only ever navigate back to a web page, never to a script or extension URL
+    this.returnUrl = /^https?:\/\//i.test(params.get('return') || '') ? params.get('return') : null;
+    this.siteId = params.get('site');
+    this.settings = {};
+    this.quota = null;
+    this.session = null;
+    this.tokens = null;
+    this.port = null;
+    this.nonce = null;
 
     this.el = {
       phraseImage: document.getElementById('phraseImage'),
@@ -25,22 +40,34 @@ class QuizController {
       learnedCount: document.getElementById('learnedCount'),
       dueCount: document.getElementById('dueCount'),
       statsBar: document.getElementById('statsBar'),
+      quotaCount: document.getElementById('quotaCount'),
+      quotaSep: document.getElementById('quotaSep'),
+      sessionCount: document.getElementById('sessionCount'),
+      sessionSep: document.getElementById('sessionSep'),
+      tokenCount: document.getElementById('tokenCount'),
+      buryBtn: document.getElementById('buryBtn'),
+      suspendBtn: document.getElementById('suspendBtn'),
+      flagBtn: document.getElementById('flagBtn'),
+      flagDot: document.getElementById('flagDot'),
       testModeBadge: document.getElementById('testModeBadge'),
       exitTestBtn: document.getElementById('exitTestBtn'),
     };
   }
 
   async init() {
+    this.listenForPort();
+
     try {
       this.storage = new Storage();
       await this.storage.init();
 
       this.phraseLoader = new PhraseLoader();
       await this.phraseLoader.load('src/data/phrases.json');
-
-      this.srs = new SpacedRepetition(this.storage, this.phraseLoader.getPhrases());
+      this.phraseLoader.addCustomDeck(await this.storage.getCustomDeck());
 
       await this.loadSettings();
+
+      this.srs = new SpacedRepetition(this.storage, this.phraseLoader.getPhrases(), this.settings);
       await this.loadNextPhrase();
       await this.updateStats();
       this.bind();
@@ -57,18 +84,49 @@ class QuizController {
   }
 
   async loadSettings() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get('settings', (data) => {
-        const s = data.settings || {};
-        if (typeof s.correctCooldownMin === 'number') {
-          this.settings.correctCooldownMin = s.correctCooldownMin;
-        }
-        if (typeof s.incorrectCooldownMin === 'number') {
-          this.settings.incorrectCooldownMin = s.incorrectCooldownMin;
-        }
-        resolve();
-      });
+    // Settings may be overridden per gated site
+    const { settings, quota, tokens } = await chrome.runtime.sendMessage({
+      type: 'GET_SITE_SETTINGS',
+      siteId: this.siteId,
+      url: this.returnUrl,
     });
+    this.settings = settings || {};
+    this.quota = quota || null;
+    this.tokens = tokens || null;
+    this.session = { answered: 0, sessionLength: this.settings.sessionLength || 1 };
+  }
+
+  isQuotaMode() {
+    return this.settings.gateMode === 'quota' && !this.isTestMode;
+  }
+
+  // Guarding a gated site, rather than free practice
+  isGating() {
+    return !this.isTestMode && (window.parent !== window || Boolean(this.returnUrl));
+  }
+
+  // Several phrases per unlock, in cooldown mode only
+  isSessionMode() {
+    return !this.isQuotaMode() && !this.isTestMode && Boolean(this.session) && this.session.sessionLength > 1;
+  }
+
+  /**
+   * Accept the private port the content script hands over when the quiz
+   * is embedded in a gated page. Only the first port from the parent
+   * window is taken.
+   */
+  listenForPort() {
+    if (window.parent === window) return;
+
+    const onMessage = (event) => {
+      if (event.source !== window.parent) return;
+      if (!event.data || event.data.type !== 'HABLA_QUIZ_PORT' || !event.ports[0]) return;
+
+      window.removeEventListener('message', onMessage);
+      this.port = event.ports[0];
+      this.nonce = event.data.nonce;
+    };
+    window.addEventListener('message', onMessage);
   }
 
   bind() {
@@ -77,6 +135,9 @@ class QuizController {
       if (e.key === 'Enter') { e.preventDefault(); this.submit(); }
     });
     this.el.skipBtn.addEventListener('click', () => this.skip());
+    this.el.buryBtn.addEventListener('click', () => this.setAside('bury'));
+    this.el.suspendBtn.addEventListener('click', () => this.setAside('suspend'));
+    this.el.flagBtn.addEventListener('click', () => this.cycleFlag());
     this.el.answerInput.addEventListener('input', () => this.resetFeedback());
 
     if (this.el.exitTestBtn) {
@@ -90,18 +151,34 @@ class QuizController {
 
   // ── Phrase loading ──
 
+  // Only the categories being studied
   getImagePhrases() {
-    return this.phraseLoader.getPhrases().filter(p => p.image);
+    return this.srs.phrases.filter(p => p.image);
   }
 
   async loadNextPhrase() {
-    const imagePhrases = this.getImagePhrases();
+    const { phrase: next, source, card } = await this.srs.selectNext();
+    this.source = source;
+    this.direction = card ? card.direction : 'image';
+
+    if (source === 'limit') {
+      // Daily caps reached and nothing to re-drill
+      await this.onDailyLimit();
+      return;
+    }
 
-    if (imagePhrases.length > 0) {
-      const next = await this.srs.getNextPhrase();
-      this.currentPhrase = (next && next.image) ? next : imagePhrases[Math.floor(Math.random() * imagePhrases.length)];
+    if (this.direction !== 'image') {
+      this.currentPhrase = next;
+    } else if (next && (next.image || next.english)) {
+      // Phrases without a picture, such as imported ones, get a drawn card
+      this.currentPhrase = next;
+    } else if (this.getImagePhrases().length > 0) {
+      // Fill in a random picture; suspended and buried phrases are never used
+      const available = new Set((await this.srs.getAvailablePhrases()).map(p => p.id));
+      const imagePhrases = this.getImagePhrases().filter(p => available.has(p.id));
+      this.currentPhrase = imagePhrases[Math.floor(Math.random() * imagePhrases.length)] || next;
     } else {
-      this.currentPhrase = await this.srs.getNextPhrase();
+      this.currentPhrase = next;
     }
 
     if (!this.currentPhrase) {
@@ -109,24 +186,102 @@ class QuizController {
       return;
     }
 
+    this.cardKey = Cards.key(this.currentPhrase.id, this.direction);
     this.el.phraseImage.classList.remove('loaded');
 
-    if (this.currentPhrase.image) {
+    if (this.direction !== 'image') {
+      // Text prompts are drawn as a card in the same frame as pictures
+      this.el.phraseImage.src = this.phraseLoader.generatePromptImage(this.currentPhrase, this.direction);
+      this.el.phraseImage.classList.add('loaded');
+    } else if (this.currentPhrase.image) {
       this.el.phraseImage.src = chrome.runtime.getURL(this.currentPhrase.image);
     } else {
       this.el.phraseImage.src = this.phraseLoader.generatePhraseImage(this.currentPhrase);
       this.el.phraseImage.classList.add('loaded');
     }
 
+    const progress = await this.storage.getProgress(this.cardKey);
+    this.showFlag(progress ? progress.flag : null);
+
     this.attempts = 0;
+    this.shownAt = Date.now();
+    this.lastMatch = null;
     this.el.answerInput.value = '';
     this.resetFeedback();
     this.hideReveal();
   }
 
+  /**
+   * Nothing more should be asked today. On a gated site the background
+   * checks the daily counts and unlocks; in practice just say so.
+   */
+  async onDailyLimit() {
+    this.currentPhrase = null;
+    this.setFeedback('daily limit reached — come back tomorrow', 'info');
+
+    if (this.isGating()) {
+      await this.completeAnswer('limit');
+    }
+  }
+
+  /**
+   * Record the answer with the SRS. A re-drilled phrase isn't due, so a
+   * correct answer there leaves its schedule alone.
+   * @param {boolean} correct
+   * @param {boolean} [skipped]
+   */
+  async recordAnswer(correct, skipped = false) {
+    const signals = skipped ? {} : this.answerSignals();
+    if (this.source === 'redrill') {
+      await this.srs.recordDrill(this.cardKey, correct && !skipped, signals);
+    } else {
+      await this.srs.recordReview(this.cardKey, correct, skipped, signals);
+    }
+  }
+
+  // ── Phrase actions ──
+
+  /**
+   * Take the current phrase out of rotation and ask another one. This is
+   * not an answer: on a gated site the next phrase still has to be passed.
+   * @param {string} action - 'bury' (until tomorrow) or 'suspend'
+   */
+  async setAside(action) {
+    if (!this.currentPhrase) return;
+
+    if (action === 'bury') {
+      await this.srs.bury(this.cardKey);
+    } else {
+      await this.srs.setSuspended(this.cardKey, true);
+    }
+
+    await this.loadNextPhrase();
+    await this.updateStats();
+    this.el.answerInput.focus();
+  }
+
+  // Step the current phrase's flag through the colors, then off
+  async cycleFlag() {
+    if (!this.currentPhrase) return;
+
+    const index = PHRASE_FLAGS.indexOf(this.flag);
+    const next = index + 1 < PHRASE_FLAGS.length ? PHRASE_FLAGS[index + 1] : null;
+    const progress = await this.srs.setFlag(this.cardKey, next);
+    this.showFlag(progress.flag);
+    this.el.answerInput.focus();
+  }
+
+  showFlag(flag) {
+    this.flag = flag || null;
+    this.el.flagDot.className = this.flag ? `dot ${this.flag}` : 'dot';
+    this.el.flagBtn.title = this.flag ? `Flagged ${this.flag} — click to change` : 'Flag this phrase for later';
+  }
+
   // ── Submission ──
 
   async submit() {
+    if (!this.currentPhrase) return;
+
     const answer = this.el.answerInput.value.trim();
     if (!answer) {
       this.setFeedback('type an answer', 'warning');
@@ -135,7 +290,9 @@ class QuizController {
     }
 
     this.attempts++;
-    const result = FuzzyMatcher.match(answer, this.currentPhrase.text);
+    const result = FuzzyMatcher.match(answer, this.expectedAnswer());
+    this.lastMatch = result;
+    await this.logAttempt(result.matches);
 
     if (result.matches) {
       await this.onCorrect();
@@ -144,12 +301,58 @@ class QuizController {
     }
   }
 
+  /**
+   * Add the attempt to the review log; a failure there never blocks the quiz
+   * @param {boolean} correct
+   * @param {boolean} [skipped]
+   */
+  async logAttempt(correct, skipped = false) {
+    try {
+      await this.srs.logAttempt(this.cardKey, {
+        correct,
+        skipped,
+        signals: skipped ? {} : this.answerSignals(),
+        origin: this.isGating() ? 'gate' : 'practice',
+        source: this.source,
+      });
+    } catch (error) {
+      console.error('Failed to log attempt:', error);
+    }
+  }
+
+  // Spanish, or the English meaning when a Spanish prompt is shown
+  expectedAnswer() {
+    return Cards.answer(this.currentPhrase, this.direction);
+  }
+
+  /**
+   * How the current phrase was answered, for grading the review
+   * @returns {Object} { exact, similarity, attempts, responseMs, answer }
+   */
+  answerSignals() {
+    const match = this.lastMatch || {};
+    return {
+      exact: Boolean(match.exact),
+      similarity: match.similarity || 0,
+      attempts: this.attempts,
+      responseMs: Date.now() - this.shownAt,
+      answer: this.el.answerInput.value.trim(),
+    };
+  }
+
   // ── Correct: show answer + congrats, then dismiss ──
 
   async onCorrect() {
-    await this.srs.recordReview(this.currentPhrase.id, true, false);
+    const before = await this.storage.getProgress(this.cardKey);
+    await this.recordAnswer(true);
 
-    this.showReveal(this.currentPhrase.text, true);
+    // Answering the last due review also earns the day in quota mode
+    let dueCleared = false;
+    if (this.isQuotaMode() && before && before.repetitions > 0 && before.nextReview <= Date.now()) {
+      dueCleared = (await this.srs.getStats()).dueNow === 0;
+    }
+
+    this.showReveal(this.expectedAnswer(), true);
 
     if (this.isTestMode) {
       // In practice mode, show congrats briefly then cycle
@@ -164,7 +367,7 @@ class QuizController {
       // Show congrats briefly then dismiss with correct cooldown
       clearTimeout(this.revealTimer);
       this.revealTimer = setTimeout(() => {
-        this.dismiss(this.settings.correctCooldownMin);
+        this.completeAnswer('correct', { dueCleared });
       }, 2500);
     }
   }
@@ -175,7 +378,7 @@ class QuizController {
     this.shakeInput();
     this.flashError();
 
-    this.showReveal(this.currentPhrase.text, false);
+    this.showReveal(this.expectedAnswer(), false);
 
     if (this.isTestMode) {
       // In practice mode, show answer briefly then let them try again
@@ -185,15 +388,15 @@ class QuizController {
       }, 3000);
 
       if (this.attempts >= 3) {
-        await this.srs.recordReview(this.currentPhrase.id, false, false);
+        await this.recordAnswer(false);
       }
     } else {
       // Record failure and dismiss with incorrect cooldown
-      await this.srs.recordReview(this.currentPhrase.id, false, false);
+      await this.recordAnswer(false);
 
       clearTimeout(this.revealTimer);
       this.revealTimer = setTimeout(() => {
-        this.dismiss(this.settings.incorrectCooldownMin);
+        this.completeAnswer('incorrect');
       }, 2500);
     }
   }
@@ -201,41 +404,120 @@ class QuizController {
   // ── Skip / dismiss ──
 
   async skip() {
-    await this.srs.recordReview(this.currentPhrase.id, false, true);
+    if (!this.currentPhrase) return;
+
+    if (this.isGating()) {
+      await this.useEmergencyToken();
+      return;
+    }
+
+    await this.logAttempt(false, true);
+    await this.recordAnswer(false, true);
 
     if (this.isTestMode) {
       await this.loadNextPhrase();
       await this.updateStats();
       this.el.answerInput.focus();
     } else {
-      this.dismiss(this.settings.incorrectCooldownMin);
+      this.dismiss();
+    }
+  }
+
+  /**
+   * Get through the gate without answering by spending one of the week's
+   * emergency tokens. Not recorded as a review. Once they run out the
+   * phrase has to be answered.
+   */
+  async useEmergencyToken() {
+    if (!this.tokens || this.tokens.remaining === 0) {
+      this.setFeedback('no emergency bypasses left this week', 'warning');
+      this.shakeInput();
+      return;
     }
+
+    const result = await chrome.runtime.sendMessage({
+      type: 'USE_EMERGENCY_TOKEN',
+      nonce: this.nonce,
+      url: this.returnUrl,
+    });
+    if (!result || result.error) {
+      console.error('Emergency bypass failed:', result && result.error);
+      this.setFeedback((result && result.error) || 'Could not unlock. Reload the page.', 'error');
+      return;
+    }
+
+    this.tokens = result.tokens;
+    this.dismiss();
   }
 
   /**
-   * Animate the quiz screen out, then navigate to the destination.
-   * @param {number} cooldownMin - Cooldown in minutes before next quiz
+   * Report the outcome to the background worker, which decides the
+   * cooldown. Leaves once the site is unlocked; the quiz keeps going
+   * until the gate session is over or, in daily quota mode, the quota
+   * is met.
+   * @param {string} outcome - 'correct', 'incorrect' or 'limit' (daily caps reached)
+   * @param {Object} [extra] - { dueCleared }
    */
-  dismiss(cooldownMin) {
-    const cooldownMs = cooldownMin * 60000;
+  async completeAnswer(outcome, extra = {}) {
+    const embedded = window.parent !== window;
+
+    // Standalone (popup practice / test) without a gated site to return to
+    if (!embedded && !this.returnUrl) {
+      this.dismiss();
+      return;
+    }
+
+    const result = await chrome.runtime.sendMessage({
+      type: 'COMPLETE_QUIZ',
+      outcome,
+      dueCleared: Boolean(extra.dueCleared),
+      nonce: this.nonce,
+      url: this.returnUrl,
+    });
+    if (!result || result.error) {
+      console.error('Unlock failed:', result && result.error);
+      this.hideReveal();
+      this.setFeedback('Could not unlock. Reload the page.', 'error');
+      return;
+    }
+
+    if (!result.unlocked) {
+      // Session or daily quota not finished yet — next phrase
+      this.quota = result.quota || this.quota;
+      this.session = result.session || this.session;
+      this.hideReveal();
+      await this.loadNextPhrase();
+      await this.updateStats();
+      this.el.answerInput.focus();
+      return;
+    }
+
+    this.dismiss();
+  }
+
+  /**
+   * Animate the quiz screen out, then reveal the page or return to it.
+   */
+  dismiss() {
     document.body.classList.add('leaving');
     setTimeout(() => {
       if (window.parent !== window) {
-        // Inside overlay iframe — notify content script
-        window.parent.postMessage({ type: 'HABLA_QUIZ_COMPLETE', cooldownMs }, '*');
+        // Inside overlay iframe — notify content script over the private port
+        if (this.port) {
+          this.port.postMessage({ type: 'HABLA_QUIZ_COMPLETE', nonce: this.nonce });
+        }
+      } else if (this.returnUrl) {
+        window.location.href = this.returnUrl;
       } else {
-        // Standalone (popup practice / test) — set bypass and navigate
-        chrome.storage.local.set({ bypassUntil: Date.now() + cooldownMs }, () => {
-          window.location.href = 'https://news.google.com';
-        });
+        window.close();
       }
     }, 300);
   }
 
   // ── Reveal bar ──
 
-  showReveal(spanish, isCorrect = false) {
-    this.el.revealAnswer.textContent = spanish;
+  showReveal(answer, isCorrect = false) {
+    this.el.revealAnswer.textContent = answer;
     this.el.revealBar.classList.toggle('correct', isCorrect);
     this.el.revealBar.classList.add('visible');
     this.el.statsBar.classList.add('hide');
@@ -256,7 +538,7 @@ class QuizController {
 
   resetFeedback() {
     this.el.feedback.className = 'fb';
-    this.el.feedback.textContent = 'escribe en español';
+    this.el.feedback.textContent = CARD_DIRECTIONS[this.direction].instruction;
   }
 
   shakeInput() {
@@ -275,13 +557,45 @@ class QuizController {
 
   async updateStats() {
     try {
-      const s = await this.srs.getStats();
+      const s = await this.srs.getGateStats();
       this.el.learnedCount.textContent = `${s.learned} learned`;
       this.el.dueCount.textContent = `${s.dueNow} due`;
+
+      const showQuota = this.isQuotaMode() && this.quota;
+      this.el.quotaSep.hidden = !showQuota;
+      this.el.quotaCount.hidden = !showQuota;
+      if (showQuota) {
+        this.el.quotaCount.textContent = `${this.quota.correct}/${this.quota.target} today`;
+      }
+
+      this.updateSkipButton();
+
+      const showSession = this.isSessionMode();
+      this.el.sessionSep.hidden = !showSession;
+      this.el.sessionCount.hidden = !showSession;
+      if (showSession) {
+        this.el.sessionCount.textContent = `phrase ${this.session.answered + 1} of ${this.session.sessionLength}`;
+      }
     } catch (e) {
       console.error('Stats error:', e);
     }
   }
+
+  // On a gated site the × spends an emergency token; show how many are left
+  updateSkipButton() {
+    const gating = this.isGating() && this.tokens;
+    const remaining = gating ? this.tokens.remaining : null;
+
+    this.el.tokenCount.hidden = !gating;
+    this.el.skipBtn.classList.toggle('spent', remaining === 0);
+    if (gating) {
+      this.el.tokenCount.textContent = `${remaining} left`;
+      this.el.skipBtn.title = remaining > 0
+        ? `Emergency bypass (${remaining} of ${this.tokens.allowance} left this week)`
+        : 'No emergency bypasses left this week';
+      this.el.skipBtn.setAttribute('aria-label', this.el.skipBtn.title);
+    }
+  }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,221 @@
+/**
+ * Review Schedulers for Habla Español
+ * SpacedRepetition hands each graded review to a scheduler, which decides
+ * the next interval. Both work on the same progress record, so switching
+ * algorithms keeps every phrase's history: each one seeds its own fields
+ * from the other's the first time it sees a record.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SuperMemo 2: ease factor and repetition count
+ */
+class Sm2Scheduler {
+  constructor() {
+    this.name = 'sm2';
+  }
+
+  /**
+   * Fill in SM-2 fields for a record last scheduled by FSRS
+   * @param {Object} progress
+   * @returns {Object}
+   */
+  seed(progress) {
+    const seeded = { ...progress };
+    if (progress.scheduler === 'fsrs' && typeof progress.difficulty === 'number') {
+      // Inverse of FsrsScheduler.seed: difficulty 5 ≈ ease 2.5
+      seeded.easeFactor = Math.max(1.3, 2.5 - (progress.difficulty - 5) / 5);
+    }
+    if (typeof seeded.easeFactor !== 'number') {
+      seeded.easeFactor = 2.5;
+    }
+    return seeded;
+  }
+
+  /**
+   * Schedule the next review
+   * @param {Object} progress - Seeded progress
+   * @param {number} quality - Quality of response (0-5)
+   * @returns {Object} Updated { interval, repetitions, easeFactor }
+   */
+  schedule(progress, quality) {
+    const updated = { ...progress };
+
+    if (quality >= 3) {
+      if (updated.repetitions === 0) {
+        updated.interval = 1;
+      } else if (updated.repetitions === 1) {
+        updated.interval = 6;
+      } else {
+        updated.interval = Math.round(updated.interval * updated.easeFactor);
+      }
+      updated.repetitions++;
+    } else {
+      // Incorrect response - reset
+      updated.repetitions = 0;
+      updated.interval = 1;
+    }
+
+    // Update ease factor (minimum 1.3)
+    const efChange = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+    updated.easeFactor = Math.max(1.3, updated.easeFactor + efChange);
+
+    return updated;
+  }
+}
+
+// FSRS-4.5 default weights
+const FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;   // Retrievability is 90% after `stability` days
+
+/**
+ * Free Spaced Repetition Scheduler: tracks each phrase's memory stability
+ * (days until recall drops to 90%) and difficulty (1-10), and schedules
+ * the next review for when recall is expected to fall to the target
+ * retention.
+ */
+class FsrsScheduler {
+  /**
+   * @param {Object} [options] - { targetRetention, maxInterval, weights }
+   */
+  constructor(options = {}) {
+    this.name = 'fsrs';
+    this.targetRetention = options.targetRetention || 0.9;
+    this.maxInterval = options.maxInterval || 36500;
+    this.w = options.weights || FSRS_WEIGHTS;
+  }
+
+  /**
+   * Map an SM-2 quality (0-5) to an FSRS rating: 1 again, 2 hard, 3 good, 4 easy
+   * @param {number} quality
+   * @returns {number}
+   */
+  static rating(quality) {
+    if (quality < 3) return 1;
+    return quality - 1;
+  }
+
+  /**
+   * Probability of recalling a phrase `elapsedDays` after its last review
+   * @param {number} elapsedDays
+   * @param {number} stability
+   * @returns {number}
+   */
+  static retrievability(elapsedDays, stability) {
+    return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+  }
+
+  /**
+   * Fill in stability and difficulty for a record last scheduled by SM-2
+   * (or never reviewed, or started over). Its current interval becomes
+   * the stability and its ease factor the difficulty, so due dates carry
+   * over.
+   * @param {Object} progress
+   * @returns {Object}
+   */
+  seed(progress) {
+    if (progress.scheduler === 'fsrs' && typeof progress.stability === 'number') {
+      return { ...progress };
+    }
+
+    const seeded = { ...progress };
+    if (!progress.totalReviews || progress.state === 'new') {
+      seeded.stability = null;
+      seeded.difficulty = null;
+    } else {
+      seeded.stability = Math.max(progress.interval || 0, 1);
+      seeded.difficulty = this.clampDifficulty(5 + (2.5 - (progress.easeFactor || 2.5)) * 5);
+    }
+    return seeded;
+  }
+
+  clampDifficulty(difficulty) {
+    return Math.min(10, Math.max(1, difficulty));
+  }
+
+  initialDifficulty(rating) {
+    return this.clampDifficulty(this.w[4] - (rating - 3) * this.w[5]);
+  }
+
+  /**
+   * Days until recall is expected to drop to the target retention
+   * @param {number} stability
+   * @returns {number}
+   */
+  nextInterval(stability) {
+    const days = stability / FSRS_FACTOR * (Math.pow(this.targetRetention, 1 / FSRS_DECAY) - 1);
+    return Math.min(this.maxInterval, Math.max(1, Math.round(days)));
+  }
+
+  /**
+   * Schedule the next review
+   * @param {Object} progress - Seeded progress
+   * @param {number} quality - Quality of response (0-5)
+   * @param {number} now - Timestamp
+   * @returns {Object} Updated { interval, repetitions, stability, difficulty }
+   */
+  schedule(progress, quality, now = Date.now()) {
+    const w = this.w;
+    const rating = FsrsScheduler.rating(quality);
+    const updated = { ...progress };
+
+    if (typeof progress.stability !== 'number' || progress.stability <= 0) {
+      // First review
+      updated.stability = w[rating - 1];
+      updated.difficulty = this.initialDifficulty(rating);
+    } else {
+      const elapsedDays = progress.lastReview ? Math.max(0, (now - progress.lastReview) / DAY_MS) : 0;
+      const r = FsrsScheduler.retrievability(elapsedDays, progress.stability);
+      const s = progress.stability;
+      const d = progress.difficulty;
+
+      if (rating === 1) {
+        const forgotten = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+        updated.stability = Math.min(forgotten, s);
+      } else {
+        const hardPenalty = rating === 2 ? w[15] : 1;
+        const easyBonus = rating === 4 ? w[16] : 1;
+        updated.stability = s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+          (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+      }
+
+      // Difficulty moves with the rating and reverts towards the default
+      const next = d - w[6] * (rating - 3);
+      updated.difficulty = this.clampDifficulty(w[7] * this.initialDifficulty(3) + (1 - w[7]) * next);
+    }
+
+    if (rating === 1) {
+      updated.repetitions = 0;
+      updated.interval = 1;
+    } else {
+      updated.repetitions++;
+      updated.interval = this.nextInterval(updated.stability);
+    }
+
+    return updated;
+  }
+}
+
+/**
+ * Create the scheduler named in the settings
+ * @param {string} name - 'sm2' or 'fsrs'
+ * @param {Object} [options] - Scheduler options, e.g. { targetRetention }
+ * @returns {Sm2Scheduler|FsrsScheduler}
+ */
+function createScheduler(name, options = {}) {
+  return name === 'fsrs' ? new FsrsScheduler(options) : new Sm2Scheduler();
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Sm2Scheduler, FsrsScheduler, createScheduler };
+} else if (typeof window !== 'undefined') {
+  window.Sm2Scheduler = Sm2Scheduler;
+  window.FsrsScheduler = FsrsScheduler;
+  window.createScheduler = createScheduler;
+}
@@ -1,16 +1,136 @@
 /**
- * SM-2 Spaced Repetition Algorithm for Habla Español
- * Based on SuperMemo 2 algorithm by Piotr Wozniak
+ * Spaced Repetition for Habla Español
+ * Grades reviews and keeps progress records; the interval itself comes
+ * from a pluggable scheduler (SM-2 by default, or FSRS), see schedulers.js.
+ * Progress is kept per card (a phrase asked in one direction, see
+ * cards.js); `phraseId` in a record and in the methods below is the card
+ * key, which for the default image card is the phrase id itself.
  */
 
+// How answer signals map to SM-2 quality; overridable via settings.grading
+const DEFAULT_GRADING = {
+  fastSec: 6,             // Exact first-try answers within this are perfect
+  slowSec: 20,            // Correct answers slower than this count as difficult
+  closeSimilarity: 0.7,   // Wrong answers at least this similar were nearly recalled
+  quality: {
+    perfect: 5,           // Fast, exact, first attempt
+    correct: 4,           // Exact, first attempt
+    hesitant: 3,          // Slow, fuzzy-accepted or needed retries
+    close: 2,             // Wrong but close
+    wrong: 1,             // Wrong
+    skipped: 0,           // Skipped
+  },
+};
+
+// Colors a phrase can be flagged with
+const PHRASE_FLAGS = ['red', 'orange', 'green', 'blue'];
+
 class SpacedRepetition {
   /**
    * @param {Storage} storage - Storage instance for persistence
    * @param {Array} phrases - Array of phrase objects
+   * @param {Object} [options] - The extension settings can be passed as is
+   *   grading: overrides for DEFAULT_GRADING
+   *   scheduler: 'sm2' (default), 'fsrs' or a scheduler instance
+   *   targetRetention: FSRS recall probability to schedule reviews at
+   *   learningSteps: minutes between reviews of a new phrase before it
+   *     graduates to day intervals (default none)
+   *   relearningSteps: the same for a phrase that was forgotten
+   *   newPerDay / reviewsPerDay: daily caps (default unlimited)
+   *   limitFallback: once a cap is reached, 'redrill' a mature phrase or
+   *     'unlock' (ask nothing); by default review ahead as usual
+   *   leechThreshold: lapses after which a phrase is a leech (default never)
+   *   leechAction: 'suspend' a leech (default) or just 'tag' it
+   *   newOrder, newOrderSeed, pinnedOrder: the order new phrases are
+   *     introduced in, see Curriculum.order
+   *   activeCategories: category ids to study; empty for all
+   *   cardDirections: directions to ask phrases in (default ['image'])
    */
-  constructor(storage, phrases) {
+  constructor(storage, phrases, options = {}) {
     this.storage = storage;
-    this.phrases = phrases;
+    this.allPhrases = phrases;
+    this.phrasesById = new Map(phrases.map(p => [p.id, p]));
+    this.phrases = SpacedRepetition.filterCategories(phrases, options.activeCategories);
+    this.directions = Cards.directions(options.cardDirections);
+    this.newOrder = Cards.build(Curriculum.order(this.phrases, options), this.directions);
+    this.cards = new Map(this.newOrder.map(card => [card.key, card]));
+    this.learningSteps = options.learningSteps || [];
+    this.relearningSteps = options.relearningSteps || [];
+    this.newPerDay = typeof options.newPerDay === 'number' ? options.newPerDay : Infinity;
+    this.reviewsPerDay = typeof options.reviewsPerDay === 'number' ? options.reviewsPerDay : Infinity;
+    this.limitFallback = options.limitFallback || 'ahead';
+    this.leechThreshold = typeof options.leechThreshold === 'number' ? options.leechThreshold : Infinity;
+    this.leechAction = options.leechAction || 'suspend';
+    this.setGrading(options.grading);
+    this.scheduler = typeof options.scheduler === 'object' && options.scheduler
+      ? options.scheduler
+      : createScheduler(options.scheduler, { targetRetention: options.targetRetention });
+  }
+
+  /**
+   * Merge grading overrides into the defaults
+   * @param {Object} [grading]
+   */
+  setGrading(grading = {}) {
+    this.grading = {
+      ...DEFAULT_GRADING,
+      ...grading,
+      quality: { ...DEFAULT_GRADING.quality, ...(grading && grading.quality) },
+    };
+  }
+
+  /**
+   * Keep only phrases in the active categories. No selection, or one
+   * that matches no phrase, studies everything.
+   * @param {Array} phrases
+   * @param {Array<string>} [activeCategories]
+   * @returns {Array}
+   */
+  static filterCategories(phrases, activeCategories) {
+    if (!Array.isArray(activeCategories) || activeCategories.length === 0) {
+      return phrases;
+    }
+    const active = new Set(activeCategories);
+    const filtered = phrases.filter(p => active.has(p.category));
+    return filtered.length > 0 ? filtered : phrases;
+  }
+
+  /**
+   * Progress records of cards in the active categories and directions
+   * @returns {Promise<Array>}
+   */
+  async getDeckProgress() {
+    const allProgress = await this.storage.getAllProgress();
+    return allProgress.filter(p => this.cards.has(p.phraseId));
+  }
+
+  /**
+   * Find the phrase a progress record belongs to, in any category
+   * @param {Object} progress
+   * @returns {Object} { phrase, direction } with phrase null if unknown
+   */
+  lookup(progress) {
+    const { phraseId, direction } = Cards.parseKey(progress.phraseId);
+    return { phrase: this.phrasesById.get(phraseId) || null, direction };
+  }
+
+  /**
+   * Parse a step list such as "1 10 60" or "1m, 10m, 1h" into minutes
+   * @param {string} text
+   * @returns {Array<number>|null} Minutes, or null if malformed
+   */
+  static parseSteps(text) {
+    const parts = (text || '').split(/[\s,]+/).filter(Boolean);
+    const steps = [];
+
+    for (const part of parts) {
+      const match = /^(\d+(?:\.\d+)?)([mhd]?)$/i.exec(part);
+      if (!match || Number(match[1]) <= 0) return null;
+      const unit = { '': 1, m: 1, h: 60, d: 1440 }[match[2].toLowerCase()];
+      steps.push(Number(match[1]) * unit);
+    }
+
+    return steps;
   }
 
   /**
@@ -27,7 +147,15 @@ class SpacedRepetition {
       nextReview: 0,       // Timestamp for next review (0 = never reviewed)
       lastReview: null,    // Timestamp of last review
       totalReviews: 0,     // Total number of reviews
-      correctReviews: 0    // Number of correct reviews
+      correctReviews: 0,   // Number of correct reviews
+      state: 'new',        // new, learning, review or relearning
+      step: 0,             // Current learning/relearning step
+      lapses: 0,           // Times forgotten after being learned
+      failures: [],        // Recent lapses: [{ at, answer }]
+      leech: false,        // Failed leechThreshold times or more
+      suspended: false,    // Left out of reviews until unsuspended
+      buriedUntil: 0,      // Left out of reviews until this timestamp
+      flag: null           // Colored marker: 'red', 'orange', 'green' or 'blue'
     };
   }
 
@@ -45,86 +173,290 @@ class SpacedRepetition {
    */
   calculateNextReview(progress, quality) {
     const now = Date.now();
-    const updated = { ...progress };
+    const state = progress.state || (progress.totalReviews > 0 ? 'review' : 'new');
+    let updated;
+
+    if ((state === 'new' || state === 'learning') && this.learningSteps.length > 0) {
+      updated = this.advanceStep(progress, quality, this.learningSteps, now);
+    } else if (state === 'relearning' && this.relearningSteps.length > 0) {
+      updated = this.advanceStep(progress, quality, this.relearningSteps, now);
+    } else {
+      updated = this.schedule(progress, quality, now);
+
+      // A forgotten phrase comes back within minutes instead of tomorrow
+      if (quality < 3 && this.relearningSteps.length > 0) {
+        updated.state = 'relearning';
+        updated.step = 0;
+        updated.nextReview = now + this.relearningSteps[0] * 60 * 1000;
+      }
+    }
 
     updated.lastReview = now;
     updated.totalReviews++;
-
     if (quality >= 3) {
-      // Correct response
       updated.correctReviews++;
+    }
+
+    return updated;
+  }
 
-      if (updated.repetitions === 0) {
-        updated.interval = 1;
-      } else if (updated.repetitions === 1) {
-        updated.interval = 6;
-      } else {
-        updated.interval = Math.round(updated.interval * updated.easeFactor);
+  /**
+   * Count a lapse (a learned phrase answered wrong) and flag the phrase
+   * as a leech once it reaches the threshold, suspending it if configured
+   * @param {Object} progress - Progress before the review
+   * @param {Object} updated - Progress after the review
+   * @param {Object} signals - { answer } typed by the user
+   * @returns {Object}
+   */
+  trackLapse(progress, updated, signals = {}) {
+    const failures = [...(progress.failures || []), { at: updated.lastReview, answer: signals.answer || '' }];
+    const lapsed = {
+      ...updated,
+      lapses: (progress.lapses || 0) + 1,
+      failures: failures.slice(-10),
+    };
+
+    if (lapsed.lapses >= this.leechThreshold && !progress.leech) {
+      lapsed.leech = true;
+      if (this.leechAction === 'suspend') {
+        lapsed.suspended = true;
       }
+    }
+    return lapsed;
+  }
 
-      updated.repetitions++;
-    } else {
-      // Incorrect response - reset
-      updated.repetitions = 0;
-      updated.interval = 1;
+  /**
+   * Hand a review to the scheduler and schedule it in whole days
+   * @param {Object} progress
+   * @param {number} quality
+   * @param {number} now
+   * @returns {Object}
+   */
+  schedule(progress, quality, now) {
+    const updated = this.scheduler.schedule(this.scheduler.seed(progress), quality, now);
+    updated.scheduler = this.scheduler.name;
+    updated.state = 'review';
+    updated.step = 0;
+    updated.nextReview = now + (updated.interval * 24 * 60 * 60 * 1000);
+    return updated;
+  }
+
+  /**
+   * Move a learning or relearning phrase through its minute steps. A pass
+   * moves to the next step, a failure back to the first. Passing the last
+   * step graduates it: a new phrase gets its first day interval from the
+   * scheduler, a relearned one the interval its lapse left it with.
+   * @param {Object} progress
+   * @param {number} quality
+   * @param {Array<number>} steps - Minutes
+   * @param {number} now
+   * @returns {Object}
+   */
+  advanceStep(progress, quality, steps, now) {
+    const relearning = progress.state === 'relearning';
+    const step = quality >= 3 ? (progress.step || 0) + 1 : 0;
+
+    if (step < steps.length) {
+      return {
+        ...progress,
+        state: relearning ? 'relearning' : 'learning',
+        step,
+        repetitions: 0,
+        nextReview: now + steps[step] * 60 * 1000,
+      };
     }
 
-    // Update ease factor (minimum 1.3)
-    const efChange = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
-    updated.easeFactor = Math.max(1.3, updated.easeFactor + efChange);
+    if (!relearning) {
+      return this.schedule(progress, quality, now);
+    }
 
-    // Calculate next review timestamp
-    updated.nextReview = now + (updated.interval * 24 * 60 * 60 * 1000);
+    return {
+      ...progress,
+      state: 'review',
+      step: 0,
+      nextReview: now + (progress.interval * 24 * 60 * 60 * 1000),
+    };
+  }
 
-    return updated;
+  /**
+   * Seed every stored record for the current scheduler, e.g. right after
+   * switching algorithms. Due dates are left as they are.
+   * @returns {Promise<number>} Number of records migrated
+   */
+  async migrateProgress() {
+    const allProgress = await this.storage.getAllProgress();
+    let migrated = 0;
+
+    for (const progress of allProgress) {
+      if (progress.scheduler === this.scheduler.name) continue;
+      const seeded = this.scheduler.seed(progress);
+      seeded.scheduler = this.scheduler.name;
+      await this.storage.saveProgress(seeded);
+      migrated++;
+    }
+
+    return migrated;
   }
 
   /**
    * Get the next phrase to review
-   * Priority: Due phrases first (oldest first), then new phrases
    * @returns {Promise<Object|null>} Phrase object or null if none available
    */
   async getNextPhrase() {
-    const allProgress = await this.storage.getAllProgress();
-    const progressMap = new Map(allProgress.map(p => [p.phraseId, p]));
+    return (await this.selectNext()).phrase;
+  }
+
+  /**
+   * Choose the next phrase and say why it was chosen.
+   * Priority: due learning/relearning steps, then due phrases (oldest
+   * first, up to the daily review cap), then new phrases (up to the daily
+   * new cap). When a cap holds phrases back, the limit fallback applies.
+   * @returns {Promise<Object>} { phrase, card, source } where card is
+   *   { key, phrase, direction } and source is 'learning', 'review', 'new',
+   *   'redrill', 'ahead' or 'limit' (nothing should be asked today)
+   */
+  async selectNext() {
     const now = Date.now();
+    const pick = (card, source) => ({ phrase: card ? card.phrase : null, card: card || null, source });
+    const findCard = (progress) => this.cards.get(progress.phraseId);
+    const limited = this.newPerDay !== Infinity || this.reviewsPerDay !== Infinity;
+    const counts = limited ? await this.storage.getDailyCounts(now) : { newCount: 0, reviewCount: 0 };
 
-    // Find due phrases (already reviewed, due for review)
-    const duePhrases = [];
-    for (const progress of allProgress) {
-      if (progress.nextReview <= now && progress.repetitions > 0) {
-        duePhrases.push({
-          phrase: this.phrases.find(p => p.id === progress.phraseId),
-          progress,
-          dueTime: progress.nextReview
-        });
-      }
+    // Only records due by now are read, soonest first from the nextReview index
+    const dueNow = await this.getDueNow(now);
+
+    // Phrases in a learning step that has come due
+    const learning = dueNow.filter(p => p.state === 'learning' || p.state === 'relearning');
+
+    if (learning.length > 0) {
+      return pick(findCard(learning[0]), 'learning');
     }
 
-    // Sort by due time (oldest first)
-    duePhrases.sort((a, b) => a.dueTime - b.dueTime);
+    // Due phrases (already reviewed, due for review), oldest first
+    const due = dueNow.filter(p => p.repetitions > 0);
 
-    if (duePhrases.length > 0) {
-      return duePhrases[0].phrase;
+    if (due.length > 0 && counts.reviewCount < this.reviewsPerDay) {
+      return pick(findCard(due[0]), 'review');
     }
 
-    // Find new phrases (never reviewed)
-    const reviewedIds = new Set(allProgress.map(p => p.phraseId));
-    const newPhrases = this.phrases.filter(p => !reviewedIds.has(p.id));
+    // New phrases (never reviewed, or started over) in curriculum order
+    const newCards = await this.findNewCards(dueNow);
+
+    if (newCards.length > 0 && counts.newCount < this.newPerDay) {
+      return pick(newCards[0], 'new');
+    }
 
-    if (newPhrases.length > 0) {
-      return newPhrases[0];
+    // A daily cap is holding phrases back
+    if ((due.length > 0 || newCards.length > 0) && this.limitFallback !== 'ahead') {
+      const mature = this.limitFallback === 'redrill'
+        ? this.findRedrill((await this.getDeckProgress()).filter(p => SpacedRepetition.isAvailable(p, now)))
+        : null;
+      return mature
+        ? pick(findCard(mature), 'redrill')
+        : pick(null, 'limit');
     }
 
     // If all phrases reviewed and none due, return the one due soonest
-    if (allProgress.length > 0) {
-      const nextDue = allProgress.reduce((min, p) =>
-        p.nextReview < min.nextReview ? p : min
-      );
-      return this.phrases.find(p => p.id === nextDue.phraseId);
+    const nextDue = await this.storage.findSoonestDue(p =>
+      this.cards.has(p.phraseId) && p.state !== 'new' && SpacedRepetition.isAvailable(p, now));
+    if (nextDue) {
+      return pick(findCard(nextDue), 'ahead');
+    }
+
+    return pick(newCards[0], 'new');
+  }
+
+  /**
+   * Available records of the deck's cards due by now, soonest first
+   * @param {number} now - Timestamp
+   * @returns {Promise<Array>}
+   */
+  async getDueNow(now) {
+    const due = await this.storage.getDueForReview(now);
+    return due.filter(p => this.cards.has(p.phraseId) && SpacedRepetition.isAvailable(p, now));
+  }
+
+  /**
+   * New cards that may be introduced, in curriculum order: cards without
+   * a progress record, and cards started over. A record in the 'new'
+   * state has never been scheduled, so its nextReview of 0 puts it among
+   * the due records and only the store's keys need reading for the rest.
+   * @param {Array} dueNow - From getDueNow
+   * @returns {Promise<Array>} Cards
+   */
+  async findNewCards(dueNow) {
+    const storedKeys = new Set(await this.storage.getAllKeys());
+    const restarted = new Set(dueNow.filter(p => p.state === 'new').map(p => p.phraseId));
+    return this.newOrder.filter(card => !storedKeys.has(card.key) || restarted.has(card.key));
+  }
+
+  /**
+   * The phrases with new cards still to come, in the order they will be
+   * introduced
+   * @param {number} now - Timestamp
+   * @returns {Promise<Array>}
+   */
+  async getUpcomingNew(now = Date.now()) {
+    const cards = await this.findNewCards(await this.getDueNow(now));
+    return [...new Set(cards.map(card => card.phrase))];
+  }
+
+  /**
+   * Whether a phrase may be asked: not suspended and not buried
+   * @param {Object} progress
+   * @param {number} now - Timestamp
+   * @returns {boolean}
+   */
+  static isAvailable(progress, now = Date.now()) {
+    return !progress.suspended && !((progress.buriedUntil || 0) > now);
+  }
+
+  /**
+   * Pick a well-known phrase to practice once the daily caps are reached:
+   * the mature phrase (interval of 21+ days) left alone the longest, or
+   * failing that the one with the longest interval
+   * @param {Array} allProgress
+   * @returns {Object|null} Progress record
+   */
+  findRedrill(allProgress) {
+    const reviewed = allProgress.filter(p => p.state !== 'learning' && p.repetitions > 0);
+    const mature = reviewed.filter(p => p.interval >= 21);
+
+    if (mature.length > 0) {
+      return mature.reduce((oldest, p) => (p.lastReview < oldest.lastReview ? p : oldest));
     }
+    if (reviewed.length > 0) {
+      return reviewed.reduce((longest, p) => (p.interval > longest.interval ? p : longest));
+    }
+    return null;
+  }
 
-    return this.phrases[0] || null;
+  /**
+   * Grade an answer from how it was given
+   * @param {boolean} correct - Whether the answer was accepted
+   * @param {boolean} skipped - Whether the user skipped
+   * @param {Object} [signals] - { exact, similarity, attempts, responseMs }
+   * @returns {number} Quality (0-5)
+   */
+  gradeAnswer(correct, skipped = false, signals = {}) {
+    const { quality, fastSec, slowSec, closeSimilarity } = this.grading;
+
+    if (skipped) return quality.skipped;
+
+    if (!correct) {
+      return signals.similarity >= closeSimilarity ? quality.close : quality.wrong;
+    }
+
+    const attempts = signals.attempts || 1;
+    const seconds = typeof signals.responseMs === 'number' ? signals.responseMs / 1000 : null;
+
+    if (signals.exact === false || attempts > 1 || (seconds !== null && seconds > slowSec)) {
+      return quality.hesitant;
+    }
+    if (signals.exact && seconds !== null && seconds <= fastSec) {
+      return quality.perfect;
+    }
+    return quality.correct;
   }
 
   /**
@@ -132,45 +464,253 @@ class SpacedRepetition {
    * @param {number} phraseId
    * @param {boolean} correct - Whether the answer was correct
    * @param {boolean} skipped - Whether the user skipped
+   * @param {Object} [signals] - Answer signals for gradeAnswer
    * @returns {Promise<Object>} Updated progress
    */
-  async recordReview(phraseId, correct, skipped = false) {
+  async recordReview(phraseId, correct, skipped = false, signals = {}) {
     let progress = await this.storage.getProgress(phraseId);
 
     if (!progress) {
       progress = this.createInitialProgress(phraseId);
     }
 
-    // Determine quality rating
-    let quality;
-    if (skipped) {
-      quality = 0; // Complete failure
-    } else if (correct) {
-      quality = 4; // Correct (default to "with hesitation")
-    } else {
-      quality = 1; // Incorrect but tried
+    // Count towards today's caps: a first sighting or a due review
+    const state = progress.state || (progress.totalReviews > 0 ? 'review' : 'new');
+    if (state === 'new') {
+      await this.storage.incrementDailyCount('newCount');
+    } else if (progress.repetitions > 0 && progress.nextReview <= Date.now()) {
+      await this.storage.incrementDailyCount('reviewCount');
     }
 
-    const updated = this.calculateNextReview(progress, quality);
+    const quality = this.gradeAnswer(correct, skipped, signals);
+
+    let updated = this.calculateNextReview(progress, quality);
+    if (quality < 3 && state === 'review') {
+      updated = this.trackLapse(progress, updated, signals);
+    }
     await this.storage.saveProgress(updated);
 
     return updated;
   }
 
   /**
-   * Get statistics for all phrases
+   * Log one answer attempt, whether or not it changes the schedule, so
+   * stats and mistake views can work from real history
+   * @param {number|string} phraseId - Card key
+   * @param {Object} attempt
+   *   correct, skipped: how it ended
+   *   signals: { exact, similarity, attempts, responseMs, answer }
+   *   origin: 'gate' or 'practice'
+   *   source: why the card was chosen, see selectNext
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} The logged entry
+   */
+  async logAttempt(phraseId, attempt, now = Date.now()) {
+    const signals = attempt.signals || {};
+    const entry = {
+      phraseId,
+      at: now,
+      answer: signals.answer || '',
+      correct: Boolean(attempt.correct),
+      skipped: Boolean(attempt.skipped),
+      exact: Boolean(signals.exact),
+      similarity: signals.similarity || 0,
+      attempt: signals.attempts || 1,
+      responseMs: typeof signals.responseMs === 'number' ? signals.responseMs : null,
+      quality: this.gradeAnswer(attempt.correct, attempt.skipped, signals),
+      origin: attempt.origin || 'practice',
+      source: attempt.source || null,
+      scheduler: this.scheduler.name,
+    };
+    entry.id = await this.storage.addReviewLog(entry);
+    return entry;
+  }
+
+  /**
+   * List leeches, most lapses first
+   * @returns {Promise<Array>} [{ phrase, direction, progress }]
+   */
+  async getLeeches() {
+    const allProgress = await this.storage.getAllProgress();
+    return allProgress
+      .filter(p => p.leech)
+      .sort((a, b) => (b.lapses || 0) - (a.lapses || 0))
+      .map(progress => ({ ...this.lookup(progress), progress }));
+  }
+
+  /**
+   * Change a phrase's suspended, buried or flag state. A phrase that was
+   * never reviewed gets a fresh progress record to hold it.
+   * @param {number} phraseId
+   * @param {Object} changes - e.g. { suspended: true }
+   * @returns {Promise<Object>} Updated progress
+   */
+  async updatePhraseState(phraseId, changes) {
+    const progress = await this.storage.getProgress(phraseId) || this.createInitialProgress(phraseId);
+    const updated = { ...progress, ...changes };
+    await this.storage.saveProgress(updated);
+    return updated;
+  }
+
+  /**
+   * Suspend a phrase or bring it back into reviews
+   * @param {number} phraseId
+   * @param {boolean} suspended
+   * @returns {Promise<Object>} Updated progress
+   */
+  async setSuspended(phraseId, suspended) {
+    return this.updatePhraseState(phraseId, { suspended });
+  }
+
+  /**
+   * Leave a phrase out of reviews until tomorrow
+   * @param {number} phraseId
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} Updated progress
+   */
+  async bury(phraseId, now = Date.now()) {
+    return this.updatePhraseState(phraseId, { buriedUntil: DailyQuota.nextMidnight(now) });
+  }
+
+  /**
+   * Bring a buried phrase back today
+   * @param {number} phraseId
+   * @returns {Promise<Object>} Updated progress
+   */
+  async unbury(phraseId) {
+    return this.updatePhraseState(phraseId, { buriedUntil: 0 });
+  }
+
+  /**
+   * Mark a phrase with a colored flag, or clear it
+   * @param {number} phraseId
+   * @param {string|null} flag - One of PHRASE_FLAGS, or null
+   * @returns {Promise<Object>} Updated progress
+   */
+  async setFlag(phraseId, flag) {
+    return this.updatePhraseState(phraseId, { flag: PHRASE_FLAGS.includes(flag) ? flag : null });
+  }
+
+  /**
+   * Phrases whose image card may be asked now: neither suspended nor buried
+   * @param {number} now - Timestamp
+   * @returns {Promise<Array>}
+   */
+  async getAvailablePhrases(now = Date.now()) {
+    const allProgress = await this.storage.getAllProgress();
+    const setAside = new Set(allProgress
+      .filter(p => !SpacedRepetition.isAvailable(p, now))
+      .map(p => p.phraseId));
+    return this.phrases.filter(p => !setAside.has(p.id));
+  }
+
+  /**
+   * List cards that are suspended, buried or flagged
+   * @param {number} now - Timestamp
+   * @returns {Promise<Array>} [{ phrase, direction, progress }]
+   */
+  async getSetAside(now = Date.now()) {
+    const allProgress = await this.storage.getAllProgress();
+    return allProgress
+      .filter(p => p.suspended || (p.buriedUntil || 0) > now || p.flag)
+      .map(progress => ({ ...this.lookup(progress), progress }));
+  }
+
+  /**
+   * Start a phrase over as if new, clearing its leech flag, lapse count
+   * and any FSRS memory state. Review totals, failure history and the
+   * flag are kept.
+   * @param {number} phraseId
+   * @returns {Promise<Object|null>} Updated progress
+   */
+  async relearn(phraseId) {
+    const progress = await this.storage.getProgress(phraseId);
+    if (!progress) return null;
+
+    const updated = {
+      ...this.createInitialProgress(phraseId),
+      totalReviews: progress.totalReviews,
+      correctReviews: progress.correctReviews,
+      failures: progress.failures || [],
+      flag: progress.flag || null,
+    };
+    await this.storage.saveProgress(updated);
+    return updated;
+  }
+
+  /**
+   * Record practice on a re-drilled phrase that isn't due. A correct
+   * answer leaves its schedule alone; a wrong one is a real lapse.
+   * @param {number} phraseId
+   * @param {boolean} correct
+   * @param {Object} [signals]
+   * @returns {Promise<Object|null>} Updated progress
+   */
+  async recordDrill(phraseId, correct, signals = {}) {
+    if (correct) {
+      return this.storage.getProgress(phraseId);
+    }
+    return this.recordReview(phraseId, false, false, signals);
+  }
+
+  /**
+   * Count cards per category, across all categories whether active or
+   * not, so a deck can be picked by what is due
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} { [categoryId]: { total, dueNow, unseen } }
+   */
+  async getCategoryStats(now = Date.now()) {
+    const progressById = new Map((await this.storage.getAllProgress()).map(p => [p.phraseId, p]));
+    const stats = {};
+
+    for (const { key, phrase } of Cards.build(this.allPhrases, this.directions)) {
+      const entry = stats[phrase.category] || (stats[phrase.category] = { total: 0, dueNow: 0, unseen: 0 });
+      const progress = progressById.get(key);
+      entry.total++;
+
+      if (progress && !SpacedRepetition.isAvailable(progress, now)) continue;
+      if (!progress || progress.state === 'new') {
+        entry.unseen++;
+      } else if (progress.nextReview <= now) {
+        entry.dueNow++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * The counts shown on the quiz, from index queries only, so a gated
+   * page load never reads the whole progress store. Learned counts every
+   * card scheduled so far; due counts this deck's available cards.
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} { learned, dueNow }
+   */
+  async getGateStats(now = Date.now()) {
+    const learned = await this.storage.countScheduled();
+    const due = await this.getDueNow(now);
+    return { learned, dueNow: due.filter(p => p.state !== 'new').length };
+  }
+
+  /**
+   * Get statistics for the active phrases
    * @returns {Promise<Object>}
    */
   async getStats() {
-    const allProgress = await this.storage.getAllProgress();
+    const allProgress = await this.getDeckProgress();
     const now = Date.now();
 
     const stats = {
       totalPhrases: this.phrases.length,
+      totalCards: this.cards.size,
       learned: 0,      // Reviewed at least once
       mastered: 0,     // Interval >= 21 days
       dueNow: 0,       // Due for review
       dueToday: 0,     // Due within 24 hours
+      leeches: 0,      // Failed leechThreshold times or more
+      suspended: 0,    // Left out of reviews
+      buried: 0,       // Left out of reviews until tomorrow
+      flagged: 0,      // Marked with a colored flag
       averageEase: 0,
       totalReviews: 0,
       accuracy: 0
@@ -181,12 +721,21 @@ class SpacedRepetition {
     let reviewSum = 0;
 
     for (const p of allProgress) {
+      if (p.flag) stats.flagged++;
+      if (p.suspended) stats.suspended++;
+      else if ((p.buriedUntil || 0) > now) stats.buried++;
+
+      // Suspending or flagging an unseen phrase creates a bare record
+      if (!p.totalReviews && p.state === 'new') continue;
+
       stats.learned++;
       easeSum += p.easeFactor;
       correctSum += p.correctReviews;
       reviewSum += p.totalReviews;
 
       if (p.interval >= 21) stats.mastered++;
+      if (p.leech) stats.leeches++;
+      if (!SpacedRepetition.isAvailable(p, now)) continue;
       if (p.nextReview <= now) stats.dueNow++;
       if (p.nextReview <= now + 24 * 60 * 60 * 1000) stats.dueToday++;
     }
@@ -205,7 +754,8 @@ class SpacedRepetition {
 
 // Export for both browser and module contexts
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { SpacedRepetition };
+  module.exports = { SpacedRepetition, DEFAULT_GRADING, PHRASE_FLAGS };
 } else if (typeof window !== 'undefined') {
   window.SpacedRepetition = SpacedRepetition;
+  window.PHRASE_FLAGS = PHRASE_FLAGS;
 }
@@ -1,42 +1,119 @@
 /**
  * IndexedDB Storage Layer for Habla Español
- * Manages phrase progress and review scheduling
+ * Manages phrase progress and review scheduling, and keeps a log of
+ * every answer attempt
  */
 
 const DB_NAME = 'habla-espanol-db';
-const DB_VERSION = 1;
 const STORE_NAME = 'phrase_progress';
+const REVIEW_LOG_STORE = 'review_log';
+const CUSTOM_PHRASES_STORE = 'custom_phrases';
+const CUSTOM_CATEGORIES_STORE = 'custom_categories';
+const DAILY_COUNTS_KEY = 'dailyCounts';
+
+// Schema steps, one per database version, run in order on upgrade inside
+// its versionchange transaction. Append new steps with the next version.
+const DB_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Progress store with due-date index',
+    migrate(db) {
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'phraseId' });
+        store.createIndex('nextReview', 'nextReview', { unique: false });
+        store.createIndex('repetitions', 'repetitions', { unique: false });
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'Review log with one entry per answer attempt',
+    migrate(db) {
+      if (!db.objectStoreNames.contains(REVIEW_LOG_STORE)) {
+        const log = db.createObjectStore(REVIEW_LOG_STORE, { keyPath: 'id', autoIncrement: true });
+        log.createIndex('phraseId', 'phraseId', { unique: false });
+        log.createIndex('at', 'at', { unique: false });
+      }
+    },
+  },
+  {
+    version: 3,
+    description: 'Imported phrases and their categories',
+    migrate(db) {
+      if (!db.objectStoreNames.contains(CUSTOM_PHRASES_STORE)) {
+        db.createObjectStore(CUSTOM_PHRASES_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(CUSTOM_CATEGORIES_STORE)) {
+        db.createObjectStore(CUSTOM_CATEGORIES_STORE, { keyPath: 'id' });
+      }
+    },
+  },
+];
+
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
 
 class Storage {
   constructor() {
     this.db = null;
+    this.dailyCounts = null;
   }
 
   /**
-   * Initialize the IndexedDB database
+   * Initialize the IndexedDB database, upgrading its schema if needed.
+   * An upgrade is one transaction, so a failed step rolls all of it
+   * back; the database then stays usable at its previous version and
+   * the upgrade is tried again next time.
    */
   async init() {
+    try {
+      this.db = await this.open(DB_VERSION);
+    } catch (error) {
+      console.error('Database upgrade failed, keeping the current schema:', error);
+      this.db = await this.open();
+    }
+    return this.db;
+  }
+
+  /**
+   * Open the database
+   * @param {number} [version] - Version to upgrade to; the current one if omitted
+   * @returns {Promise<IDBDatabase>}
+   */
+  open(version) {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      const request = version ? indexedDB.open(DB_NAME, version) : indexedDB.open(DB_NAME);
+      let upgradeError = null;
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
+      request.onerror = () => reject(upgradeError || request.error);
+      request.onsuccess = () => resolve(request.result);
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          const store = db.createObjectStore(STORE_NAME, { keyPath: 'phraseId' });
-          store.createIndex('nextReview', 'nextReview', { unique: false });
-          store.createIndex('repetitions', 'repetitions', { unique: false });
+        try {
+          Storage.upgrade(request.result, request.transaction, event.oldVersion, event.newVersion);
+        } catch (error) {
+          upgradeError = error;
+          request.transaction.abort();
         }
       };
     });
   }
 
+  /**
+   * Run the schema steps between two versions, in order
+   * @param {IDBDatabase} db
+   * @param {IDBTransaction} transaction - The versionchange transaction
+   * @param {number} oldVersion
+   * @param {number} newVersion
+   * @param {Array} [steps]
+   */
+  static upgrade(db, transaction, oldVersion, newVersion, steps = DB_MIGRATIONS) {
+    for (const step of steps) {
+      if (step.version > oldVersion && step.version <= newVersion) {
+        step.migrate(db, transaction);
+      }
+    }
+  }
+
   /**
    * Get progress for a specific phrase
    * @param {number} phraseId
@@ -85,27 +162,311 @@ class Storage {
   }
 
   /**
-   * Get phrases due for review (nextReview <= now)
+   * Get the keys of every progress record without reading the records
    * @returns {Promise<Array>}
    */
-  async getDueForReview() {
-    const now = Date.now();
-    const allProgress = await this.getAllProgress();
-    return allProgress.filter(p => p.nextReview <= now);
+  async getAllKeys() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readonly');
+      const store = transaction.objectStore(STORE_NAME);
+      const request = store.getAllKeys();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+  }
+
+  /**
+   * Get phrases due for review (nextReview <= now), soonest first. Reads
+   * only the due range of the nextReview index.
+   * @param {number} now - Timestamp
+   * @returns {Promise<Array>}
+   */
+  async getDueForReview(now = Date.now()) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index('nextReview');
+      const request = index.getAll(IDBKeyRange.upperBound(now));
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+  }
+
+  /**
+   * Count the records that have been scheduled at least once, from the
+   * nextReview index alone. Unseen records wait at nextReview 0.
+   * @returns {Promise<number>}
+   */
+  async countScheduled() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index('nextReview');
+      const request = index.count(IDBKeyRange.lowerBound(0, true));
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  /**
+   * Walk the nextReview index from the soonest review and return the
+   * first record a predicate accepts, without reading the ones after it
+   * @param {Function} predicate - (progress) => boolean
+   * @returns {Promise<Object|null>}
+   */
+  async findSoonestDue(predicate) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readonly');
+      const index = transaction.objectStore(STORE_NAME).index('nextReview');
+      const request = index.openCursor();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(null);
+        } else if (predicate(cursor.value)) {
+          resolve(cursor.value);
+        } else {
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  /**
+   * Append an answer attempt to the review log
+   * @param {Object} entry - { phraseId, at, answer, correct, ... }
+   * @returns {Promise<number>} The entry's id
+   */
+  async addReviewLog(entry) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(REVIEW_LOG_STORE, 'readwrite');
+      const store = transaction.objectStore(REVIEW_LOG_STORE);
+      const request = store.add(entry);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  /**
+   * Get every logged attempt for a card, oldest first
+   * @param {number|string} phraseId - Card key
+   * @returns {Promise<Array>}
+   */
+  async getReviewLog(phraseId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(REVIEW_LOG_STORE, 'readonly');
+      const index = transaction.objectStore(REVIEW_LOG_STORE).index('phraseId');
+      const request = index.getAll(IDBKeyRange.only(phraseId));
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.at - b.at));
+    });
   }
 
   /**
-   * Clear all progress data (for testing)
+   * Get logged attempts made between two times, oldest first
+   * @param {number} from - Timestamp, inclusive
+   * @param {number} [to] - Timestamp, inclusive (default now)
+   * @returns {Promise<Array>}
+   */
+  async getReviewLogBetween(from, to = Date.now()) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(REVIEW_LOG_STORE, 'readonly');
+      const index = transaction.objectStore(REVIEW_LOG_STORE).index('at');
+      const request = index.getAll(IDBKeyRange.bound(from, to));
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+  }
+
+  /**
+   * Get the whole review log, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getAllReviewLog() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(REVIEW_LOG_STORE, 'readonly');
+      const store = transaction.objectStore(REVIEW_LOG_STORE);
+      const request = store.getAll();
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result || []);
+    });
+  }
+
+  /**
+   * Write many progress records and log entries, and any imported phrases
+   * they belong to, in one transaction, so an import either lands
+   * completely or not at all
+   * @param {Object} records - { progress, reviewLog, customDeck, clear }
+   *   customDeck: { phrases, categories } to add
+   *   clear: empty the progress and log stores first
    * @returns {Promise<void>}
    */
-  async clearAll() {
+  async importRecords({ progress = [], reviewLog = [], customDeck = null, clear = false }) {
+    return new Promise((resolve, reject) => {
+      const stores = [STORE_NAME, REVIEW_LOG_STORE];
+      if (customDeck) stores.push(CUSTOM_PHRASES_STORE, CUSTOM_CATEGORIES_STORE);
+      const transaction = this.db.transaction(stores, 'readwrite');
+      const progressStore = transaction.objectStore(STORE_NAME);
+      const logStore = transaction.objectStore(REVIEW_LOG_STORE);
+
+      if (clear) {
+        progressStore.clear();
+        logStore.clear();
+      }
+      for (const record of progress) {
+        progressStore.put(record);
+      }
+      for (const entry of reviewLog) {
+        logStore.add(entry);
+      }
+      if (customDeck) {
+        for (const phrase of customDeck.phrases) {
+          transaction.objectStore(CUSTOM_PHRASES_STORE).put(phrase);
+        }
+        for (const category of customDeck.categories) {
+          transaction.objectStore(CUSTOM_CATEGORIES_STORE).put(category);
+        }
+      }
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve();
+    });
+  }
+
+  /**
+   * Write records only where they still win against what is stored at
+   * the time of writing. Each record is read and decided on in the same
+   * transaction, so a change saved since the caller last read it is not
+   * overwritten.
+   * @param {Array} records - Progress records
+   * @param {Function} choose - (stored, incoming) => the record to write,
+   *   or null to keep the stored one
+   * @returns {Promise<Array>} The records written
+   */
+  async mergeProgress(records, choose) {
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(STORE_NAME, 'readwrite');
       const store = transaction.objectStore(STORE_NAME);
-      const request = store.clear();
+      const written = [];
 
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve();
+      for (const record of records) {
+        const request = store.get(record.phraseId);
+        request.onsuccess = () => {
+          const chosen = choose(request.result || null, record);
+          if (chosen) {
+            store.put(chosen);
+            written.push(chosen);
+          }
+        };
+      }
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve(written);
+    });
+  }
+
+  /**
+   * Get the imported phrases and categories
+   * @returns {Promise<Object>} { phrases, categories }
+   */
+  async getCustomDeck() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CUSTOM_PHRASES_STORE, CUSTOM_CATEGORIES_STORE], 'readonly');
+      const phrases = transaction.objectStore(CUSTOM_PHRASES_STORE).getAll();
+      const categories = transaction.objectStore(CUSTOM_CATEGORIES_STORE).getAll();
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve({
+        phrases: phrases.result || [],
+        categories: categories.result || [],
+      });
+    });
+  }
+
+  /**
+   * Add imported phrases, their new categories and any progress they came
+   * with in one transaction
+   * @param {Object} deck - { phrases, categories, progress }
+   * @returns {Promise<void>}
+   */
+  async addCustomDeck({ phrases = [], categories = [], progress = [] }) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([CUSTOM_PHRASES_STORE, CUSTOM_CATEGORIES_STORE, STORE_NAME], 'readwrite');
+      for (const phrase of phrases) {
+        transaction.objectStore(CUSTOM_PHRASES_STORE).put(phrase);
+      }
+      for (const category of categories) {
+        transaction.objectStore(CUSTOM_CATEGORIES_STORE).put(category);
+      }
+      for (const record of progress) {
+        transaction.objectStore(STORE_NAME).put(record);
+      }
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve();
+    });
+  }
+
+  /**
+   * Get today's number of new phrases introduced and reviews done. Kept
+   * in chrome.storage so the background worker can check them too;
+   * outside the extension they live in memory.
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} { day, newCount, reviewCount }
+   */
+  async getDailyCounts(now = Date.now()) {
+    let counts = this.dailyCounts;
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      counts = (await chrome.storage.local.get(DAILY_COUNTS_KEY))[DAILY_COUNTS_KEY];
+    }
+
+    const day = DailyQuota.dayKey(now);
+    if (!counts || counts.day !== day) {
+      return { day, newCount: 0, reviewCount: 0 };
+    }
+    return { ...counts };
+  }
+
+  /**
+   * Count one new phrase or review towards today's limits
+   * @param {string} kind - 'newCount' or 'reviewCount'
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} Updated counts
+   */
+  async incrementDailyCount(kind, now = Date.now()) {
+    const counts = await this.getDailyCounts(now);
+    counts[kind]++;
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      await chrome.storage.local.set({ [DAILY_COUNTS_KEY]: counts });
+    } else {
+      this.dailyCounts = counts;
+    }
+    return counts;
+  }
+
+  /**
+   * Clear all progress data and the review log. Imported phrases stay.
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORE_NAME, REVIEW_LOG_STORE], 'readwrite');
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.objectStore(REVIEW_LOG_STORE).clear();
+
+      transaction.onerror = () => reject(transaction.error);
+      transaction.oncomplete = () => resolve();
     });
   }
 
@@ -0,0 +1,348 @@
+/**
+ * Progress Sync for Habla Español
+ * Mirrors a compact copy of every reviewed card's progress into
+ * chrome.storage.sync, so the browser carries it to the user's other
+ * devices. Each side keeps its own IndexedDB; a sync pulls the remote
+ * copy, merges it card by card, and pushes the result back.
+ *
+ * chrome.storage.sync allows about 100 KB in items of at most 8 KB, so
+ * records are packed as arrays in numbered chunks. When everything does
+ * not fit, the cards reviewed longest ago stay local only.
+ *
+ * Merging never deletes, so a reset (Reset Progress, or restoring a
+ * backup with Replace) starts a new sync generation instead. The synced
+ * copy carries its generation; a device that last synced an older one
+ * takes the synced copy as it is, and the device that reset overwrites
+ * it with its own.
+ */
+
+const SYNC_META_KEY = 'syncMeta';
+const SYNC_CHUNK_PREFIX = 'syncProgress';
+const SYNC_STATUS_KEY = 'syncStatus';
+const SYNC_GENERATION_KEY = 'syncGeneration';
+const SYNC_FORMAT_VERSION = 1;
+
+// Under chrome.storage.sync's QUOTA_BYTES_PER_ITEM (8192) and QUOTA_BYTES (102400)
+const SYNC_ITEM_BYTES = 8000;
+const SYNC_TOTAL_BYTES = 98000;
+
+// Progress fields carried across, in their packed order. Append only:
+// the position of a field is part of the format.
+const SYNC_FIELDS = [
+  'interval', 'easeFactor', 'repetitions', 'nextReview', 'lastReview',
+  'totalReviews', 'correctReviews', 'state', 'step', 'lapses',
+  'leech', 'suspended', 'buriedUntil', 'flag', 'scheduler', 'stability', 'difficulty',
+];
+
+// Timestamps are packed as whole minutes
+const SYNC_TIME_FIELDS = ['nextReview', 'lastReview', 'buriedUntil'];
+const SYNC_FLAG_FIELDS = ['leech', 'suspended'];
+
+class Sync {
+  /**
+   * Pack a progress record into an array of SYNC_FIELDS values
+   * @param {Object} progress
+   * @returns {Array}
+   */
+  static pack(progress) {
+    const values = SYNC_FIELDS.map((field) => {
+      const value = progress[field];
+      if (SYNC_TIME_FIELDS.includes(field)) return value ? Math.round(value / 60000) : 0;
+      if (SYNC_FLAG_FIELDS.includes(field)) return value ? 1 : 0;
+      if (typeof value === 'number' && !Number.isInteger(value)) return Math.round(value * 1000) / 1000;
+      return value === undefined ? null : value;
+    });
+
+    // Trailing empty fields (flag, FSRS state) are left off
+    while (values.length > 0 && values[values.length - 1] === null) values.pop();
+    return values;
+  }
+
+  /**
+   * Unpack a record packed by pack()
+   * @param {number|string} phraseId - Card key
+   * @param {Array} values
+   * @returns {Object}
+   */
+  static unpack(phraseId, values) {
+    const progress = { phraseId, failures: [] };
+    SYNC_FIELDS.forEach((field, index) => {
+      const value = values[index];
+      if (SYNC_TIME_FIELDS.includes(field)) {
+        progress[field] = value ? value * 60000 : (field === 'lastReview' ? null : 0);
+      } else if (SYNC_FLAG_FIELDS.includes(field)) {
+        progress[field] = Boolean(value);
+      } else if (value !== null && value !== undefined) {
+        progress[field] = value;
+      } else if (field === 'flag') {
+        progress.flag = null;
+      }
+    });
+    return progress;
+  }
+
+  /**
+   * Whether a record is worth syncing: cards never answered are rebuilt
+   * on every device anyway
+   * @param {Object} progress
+   * @returns {boolean}
+   */
+  static isSyncable(progress) {
+    return progress.totalReviews > 0 || progress.suspended || Boolean(progress.flag);
+  }
+
+  /**
+   * Pick between this device's record and the synced one. The later
+   * lastReview (to the minute, as synced) wins; on a tie, the one with
+   * more reviews; then the greater packed form. Every device picks the
+   * same record for the same pair, so they settle on one copy.
+   * @param {Object|null} local
+   * @param {Object|null} remote
+   * @returns {Object|null}
+   */
+  static resolve(local, remote) {
+    if (!local) return remote;
+    if (!remote) return local;
+
+    const localAt = Math.round((local.lastReview || 0) / 60000);
+    const remoteAt = Math.round((remote.lastReview || 0) / 60000);
+    if (localAt !== remoteAt) return remoteAt > localAt ? remote : local;
+
+    const localReviews = local.totalReviews || 0;
+    const remoteReviews = remote.totalReviews || 0;
+    if (localReviews !== remoteReviews) return remoteReviews > localReviews ? remote : local;
+
+    return JSON.stringify(Sync.pack(remote)) > JSON.stringify(Sync.pack(local)) ? remote : local;
+  }
+
+  /**
+   * The record to store when a synced record meets this device's. A
+   * local record's failure history stays, since it is not synced.
+   * @param {Object|null} current - This device's record
+   * @param {Object} record - Unpacked synced record
+   * @returns {Object|null} Null when this device's record wins
+   */
+  static adopt(current, record) {
+    if (current === record || Sync.resolve(current, record) !== record) return null;
+    return current ? { ...current, ...record, failures: current.failures || [] } : record;
+  }
+
+  /**
+   * Records the remote copy should overwrite or add locally
+   * @param {Array} local - Progress records on this device
+   * @param {Map} remote - Card key → unpacked record
+   * @returns {Array}
+   */
+  static merge(local, remote) {
+    const byKey = new Map(local.map(p => [p.phraseId, p]));
+    const pulled = [];
+
+    for (const [key, record] of remote) {
+      const adopted = Sync.adopt(byKey.get(key) || null, record);
+      if (adopted) pulled.push(adopted);
+    }
+    return pulled;
+  }
+
+  /**
+   * Decide how a sync treats the two sides, by sync generation
+   * @param {Array} local - Progress records on this device
+   * @param {Map} remote - Card key → unpacked record
+   * @param {number|undefined} seen - Generation this device last synced
+   *   or reset to; undefined if it never synced
+   * @param {number} generation - Generation of the synced copy
+   * @returns {Object} { pulled, clear, generation } where pulled are the
+   *   records to write locally, clear whether local progress goes first,
+   *   and generation the one both sides end up at
+   */
+  static plan(local, remote, seen, generation) {
+    if (seen !== undefined && seen > generation) {
+      // Reset here: this device's progress replaces the synced copy
+      return { pulled: [], clear: false, generation: seen };
+    }
+    if (seen !== undefined && seen < generation) {
+      // Reset on another device: take its copy as it is
+      return { pulled: [...remote.values()], clear: true, generation };
+    }
+    return { pulled: Sync.merge(local, remote), clear: false, generation };
+  }
+
+  /**
+   * Start a new sync generation after this device's progress was reset,
+   * so the next sync pushes the reset instead of pulling everything back
+   * @param {number} now - Timestamp
+   * @returns {Promise<number>} The new generation
+   */
+  static async markReset(now = Date.now()) {
+    const seen = (await chrome.storage.local.get(SYNC_GENERATION_KEY))[SYNC_GENERATION_KEY] || 0;
+    const generation = Math.max(now, seen + 1);
+    await chrome.storage.local.set({ [SYNC_GENERATION_KEY]: generation });
+    return generation;
+  }
+
+  /**
+   * Pack records into chrome.storage.sync items, within its quotas.
+   * Chunks are filled in card key order, so that reviewing a card
+   * usually rewrites only the chunk holding it.
+   * @param {Array} progress - Progress records
+   * @param {number} now - Timestamp
+   * @param {number} [generation] - Sync generation, see plan()
+   * @returns {Object} { items, synced, dropped }
+   */
+  static encode(progress, now = Date.now(), generation = 0) {
+    const entries = progress
+      .filter(Sync.isSyncable)
+      .map(p => [p.phraseId, Sync.pack(p), p.lastReview || 0]);
+
+    // Keep the most recently reviewed cards when over the total quota
+    entries.sort((a, b) => b[2] - a[2]);
+    let total = 0;
+    const kept = [];
+    for (const [key, packed] of entries) {
+      const size = JSON.stringify([key, packed]).length + 1;
+      if (total + size > SYNC_TOTAL_BYTES) break;
+      total += size;
+      kept.push([key, packed]);
+    }
+
+    kept.sort((a, b) => String(a[0]).localeCompare(String(b[0]), undefined, { numeric: true }));
+    const chunks = [[]];
+    let chunkSize = 2;
+    for (const entry of kept) {
+      const size = JSON.stringify(entry).length + 1;
+      if (chunkSize + size > SYNC_ITEM_BYTES) {
+        chunks.push([]);
+        chunkSize = 2;
+      }
+      chunks[chunks.length - 1].push(entry);
+      chunkSize += size;
+    }
+
+    const items = {
+      [SYNC_META_KEY]: { version: SYNC_FORMAT_VERSION, chunks: chunks.length, at: now, generation },
+    };
+    chunks.forEach((chunk, index) => {
+      items[SYNC_CHUNK_PREFIX + index] = chunk;
+    });
+
+    return { items, synced: kept.length, dropped: entries.length - kept.length };
+  }
+
+  /**
+   * Read records back from chrome.storage.sync items
+   * @param {Object} items - Everything in chrome.storage.sync
+   * @returns {Map} Card key → unpacked record; empty when there is
+   *   nothing synced or it was written by a newer format
+   */
+  static decode(items) {
+    const meta = items[SYNC_META_KEY];
+    const records = new Map();
+    if (!meta || meta.version > SYNC_FORMAT_VERSION) return records;
+
+    for (let index = 0; index < meta.chunks; index++) {
+      for (const [key, packed] of items[SYNC_CHUNK_PREFIX + index] || []) {
+        records.set(key, Sync.unpack(key, packed));
+      }
+    }
+    return records;
+  }
+
+  /**
+   * One-line summary of a sync status for display
+   * @param {Object|null} status - Saved syncStatus
+   * @param {number} now - Timestamp
+   * @returns {string}
+   */
+  static describe(status, now = Date.now()) {
+    if (!status || !status.lastSync) return 'Not synced yet.';
+
+    const minutes = Math.floor((now - status.lastSync) / 60000);
+    let when;
+    if (minutes < 1) when = 'just now';
+    else if (minutes < 60) when = `${minutes} min ago`;
+    else if (minutes < 24 * 60) when = `${Math.floor(minutes / 60)} h ago`;
+    else when = new Date(status.lastSync).toLocaleDateString();
+
+    let text = `Synced ${when} · ${status.synced} cards`;
+    if (status.dropped > 0) {
+      text += ` · ${status.dropped} least recent kept on this device only (sync space full)`;
+    }
+    return text;
+  }
+
+  /**
+   * Sync once: pull and merge the remote copy, then push what changed.
+   * The outcome is saved as syncStatus in chrome.storage.local.
+   * @param {Storage} storage - An initialised Storage
+   * @param {number} now - Timestamp
+   * @returns {Promise<Object>} The status saved
+   */
+  static async run(storage, now = Date.now()) {
+    let status;
+    try {
+      const remoteItems = await chrome.storage.sync.get(null);
+      const remoteMeta = remoteItems[SYNC_META_KEY];
+      const seen = (await chrome.storage.local.get(SYNC_GENERATION_KEY))[SYNC_GENERATION_KEY];
+      const local = await storage.getAllProgress();
+
+      const remote = Sync.decode(remoteItems);
+      const { pulled, clear, generation } = Sync.plan(
+        local, remote, seen, (remoteMeta && remoteMeta.generation) || 0);
+
+      let written = pulled;
+      if (clear) {
+        await storage.importRecords({ progress: pulled, clear: true });
+      } else if (pulled.length > 0) {
+        // Decided again against each stored record as it is written, so an
+        // answer saved since the read above is kept
+        written = await storage.mergeProgress(
+          pulled.map(p => remote.get(p.phraseId)), Sync.adopt);
+      }
+
+      const { items, synced, dropped } = Sync.encode(await storage.getAllProgress(), now, generation);
+
+      const changed = {};
+      for (const [key, value] of Object.entries(items)) {
+        if (key !== SYNC_META_KEY && JSON.stringify(value) !== JSON.stringify(remoteItems[key])) {
+          changed[key] = value;
+        }
+      }
+      const stale = Object.keys(remoteItems)
+        .filter(key => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items));
+
+      if (Object.keys(changed).length > 0 || stale.length > 0 || !remoteMeta || remoteMeta.generation !== generation) {
+        // Chunks first, so a reader never sees a count they don't match yet
+        await chrome.storage.sync.set(changed);
+        await chrome.storage.sync.set({ [SYNC_META_KEY]: items[SYNC_META_KEY] });
+        if (stale.length > 0) {
+          await chrome.storage.sync.remove(stale);
+        }
+      }
+      await chrome.storage.local.set({ [SYNC_GENERATION_KEY]: generation });
+
+      status = {
+        lastSync: now,
+        pulled: written.length,
+        pushed: Object.keys(changed).length,
+        synced,
+        dropped,
+        error: null,
+      };
+    } catch (error) {
+      console.error('Progress sync failed:', error);
+      const previous = (await chrome.storage.local.get(SYNC_STATUS_KEY))[SYNC_STATUS_KEY] || {};
+      status = { ...previous, failedAt: now, error: error.message || String(error) };
+    }
+
+    await chrome.storage.local.set({ [SYNC_STATUS_KEY]: status });
+    return status;
+  }
+}
+
+// Export for both browser and module contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Sync, SYNC_STATUS_KEY, SYNC_GENERATION_KEY, SYNC_ITEM_BYTES, SYNC_TOTAL_BYTES };
+} else if (typeof window !== 'undefined') {
+  window.Sync = Sync;
+  window.SYNC_STATUS_KEY = SYNC_STATUS_KEY;
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests for Anki text import and export
+ */
+
+function registerAnkiTests(runner) {
+  const deck = () => ({
+    phrases: [{ id: 1, text: 'Hola', english: 'Hello', category: 'greetings' }],
+    categories: [{ id: 'greetings', name: 'Greetings' }],
+  });
+
+  runner.describe('AnkiText.parse', () => {
+    runner.it('should read headers and quoted fields', () => {
+      const text = '#separator:tab\n#html:true\n#tags column:3\n' +
+        'el perro\tthe dog\tanimals\n' +
+        '"dice ""hola""\ty adiós"\t<b>says</b> hello\t\n';
+      const { rows, headers } = AnkiText.parse(text);
+
+      assert.equal(headers.separator, '\t');
+      assert.equal(rows.length, 2);
+      assert.equal(rows[1][0], 'dice "hola"\ty adiós');
+      assert.equal(AnkiText.plain(rows[1][1]), 'says hello');
+    });
+
+    runner.it('should guess commas for CSV without headers', () => {
+      const { rows } = AnkiText.parse('el gato,the cat,animals\r\n"sí, claro",yes of course,\r\n');
+      assert.deepEqual(rows.map(r => r[0]), ['el gato', 'sí, claro']);
+    });
+  });
+
+  runner.describe('AnkiText.toPhrases', () => {
+    runner.it('should map tags to categories and skip known phrases', () => {
+      const parsed = AnkiText.parse('hola\thello\tgreetings\nel perro\tthe dog\tanimals leech\nla mesa\tthe table\t\n');
+      const imported = AnkiText.toPhrases(parsed, deck());
+
+      assert.equal(imported.skipped, 1);
+      assert.deepEqual(imported.phrases.map(p => p.id), [100000, 100001]);
+      assert.deepEqual(imported.phrases.map(p => p.category), ['animals', 'imported']);
+      assert.deepEqual(imported.categories.map(c => c.id), ['animals', 'imported']);
+      assert.equal(imported.phrases[0].english, 'the dog');
+    });
+
+    runner.it('should skip notes without an English side', () => {
+      const imported = AnkiText.toPhrases(AnkiText.parse('el perro\t\tanimals\nla mesa\tthe table\n'), deck());
+      assert.deepEqual(imported.phrases.map(p => p.text), ['la mesa']);
+      assert.equal(imported.incomplete, 1);
+      assert.equal(imported.skipped, 0);
+    });
+
+    runner.it('should swap sides when the front is English', () => {
+      const imported = AnkiText.toPhrases(AnkiText.parse('the dog\tel perro\n'), deck(), { frontIs: 'english' });
+      assert.equal(imported.phrases[0].text, 'el perro');
+      assert.equal(imported.phrases[0].english, 'the dog');
+    });
+
+    runner.it('should turn scheduling columns into progress', () => {
+      const text = '#columns:Front\tBack\tTags\tInterval\tEase\tDue\n' +
+        'el perro\tthe dog\tanimals\t12\t2300\t2026-03-10\n' +
+        'la mesa\tthe table\t\t\t\t\n';
+      const imported = AnkiText.toPhrases(AnkiText.parse(text), deck());
+
+      assert.equal(imported.progress.length, 1);
+      assert.equal(imported.progress[0].phraseId, imported.phrases[0].id);
+      assert.equal(imported.progress[0].interval, 12);
+      assert.equal(imported.progress[0].easeFactor, 2.3);
+      assert.equal(imported.progress[0].state, 'review');
+      assert.equal(DailyQuota.dayKey(imported.progress[0].nextReview), '2026-03-10');
+    });
+  });
+
+  runner.describe('AnkiText.export', () => {
+    runner.it('should round-trip phrases and progress', () => {
+      const progress = new Map([[1, { phraseId: 1, interval: 6, easeFactor: 2.5, nextReview: new Date('2026-05-01T00:00:00').getTime(), totalReviews: 3, lapses: 1, state: 'review' }]]);
+      const text = AnkiText.export(deck().phrases, progress);
+
+      const imported = AnkiText.toPhrases(AnkiText.parse(text), { phrases: [], categories: deck().categories });
+      assert.equal(imported.phrases[0].text, 'Hola');
+      assert.equal(imported.phrases[0].category, 'greetings');
+      assert.equal(imported.progress[0].interval, 6);
+      assert.equal(imported.progress[0].lapses, 1);
+    });
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerAnkiTests };
+} else if (typeof window !== 'undefined') {
+  window.registerAnkiTests = registerAnkiTests;
+}
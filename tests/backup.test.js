@@ -0,0 +1,109 @@
+/**
+ * Tests for progress export and import
+ */
+
+function registerBackupTests(runner) {
+  const record = (phraseId, lastReview, interval = 1) => ({ phraseId, lastReview, interval, nextReview: 0 });
+  const backup = (progress, reviewLog = []) => ({ format: 'habla-espanol-backup', version: 1, exportedAt: 0, progress, reviewLog });
+
+  runner.describe('Backup.validate', () => {
+    runner.it('should accept a backup without a review log', () => {
+      const data = Backup.validate({ format: 'habla-espanol-backup', version: 1, progress: [] });
+      assert.deepEqual(data.reviewLog, []);
+    });
+
+    runner.it('should reject other files and newer versions', () => {
+      assert.throws(() => Backup.validate({ progress: [] }), 'Expected a file without the format to be rejected');
+      assert.throws(() => Backup.validate({ ...backup([]), version: 99 }), 'Expected a newer version to be rejected');
+      assert.throws(() => Backup.validate(backup([{ interval: 1 }])), 'Expected records without ids to be rejected');
+    });
+  });
+
+  runner.describe('Backup.merge', () => {
+    const mine = {
+      progress: [record(1, 2000), record(2, 1000)],
+      reviewLog: [{ id: 1, phraseId: 1, at: 2000 }],
+    };
+    const theirs = backup(
+      [record(1, 1000, 6), record(2, 3000, 6), record(3, 500)],
+      [{ id: 7, phraseId: 1, at: 2000 }, { id: 8, phraseId: 2, at: 3000 }]
+    );
+
+    runner.it('should keep the most recently reviewed record', () => {
+      const merged = Backup.merge(mine, theirs, 'newer');
+
+      assert.deepEqual(merged.progress.map(p => p.phraseId), [2, 3]);
+      assert.deepEqual(merged.summary, { added: 1, updated: 1, kept: 1, logEntries: 1, phrases: 0, dropped: 0 });
+      assert.ok(!merged.clear);
+    });
+
+    runner.it('should only add missing records when keeping mine', () => {
+      const merged = Backup.merge(mine, theirs, 'mine');
+      assert.deepEqual(merged.progress.map(p => p.phraseId), [3]);
+    });
+
+    runner.it('should replace everything and drop log ids', () => {
+      const merged = Backup.merge(mine, theirs, 'replace');
+
+      assert.ok(merged.clear);
+      assert.equal(merged.progress.length, 3);
+      assert.equal(merged.reviewLog.length, 2);
+      assert.ok(!('id' in merged.reviewLog[0]));
+    });
+
+    runner.it('should bring imported phrases and drop progress without a phrase', () => {
+      const deck = (phrases) => ({ phrases, categories: [{ id: 'viajes', name: 'viajes' }] });
+      const here = { ...mine, customDeck: deck([{ id: 100000, text: 'el gato' }]) };
+      const file = {
+        ...backup([record(100000, 500), record('100001:en-es', 500), record(100002, 500), record(3, 500)],
+          [{ phraseId: 100000, at: 500 }]),
+        customDeck: deck([{ id: 100000, text: 'la playa' }, { id: 100001, text: 'el sol' }]),
+      };
+
+      const merged = Backup.merge(here, file, 'newer');
+      assert.deepEqual(merged.customDeck.phrases.map(p => p.id), [100001]);
+      assert.deepEqual(merged.customDeck.categories, []);
+      assert.deepEqual(merged.progress.map(p => p.phraseId), ['100001:en-es', 3]);
+      assert.deepEqual(merged.reviewLog, []);
+      assert.equal(merged.summary.dropped, 2);
+
+      const replaced = Backup.merge(here, file, 'replace');
+      assert.deepEqual(replaced.customDeck.phrases.map(p => p.id), [100000, 100001]);
+      assert.equal(replaced.summary.dropped, 1);
+    });
+
+    runner.it('should keep progress for phrases imported here from older files', () => {
+      const here = { ...mine, customDeck: { phrases: [{ id: 100000, text: 'el gato' }], categories: [] } };
+      const merged = Backup.merge(here, backup([record(100000, 500), record(100001, 500)]), 'mine');
+      assert.deepEqual(merged.progress.map(p => p.phraseId), [100000]);
+    });
+
+    runner.it('should reject unknown strategies', () => {
+      assert.throws(() => Backup.merge(mine, theirs, 'theirs'), 'Expected an unknown strategy to be rejected');
+    });
+  });
+
+  runner.describe('Backup.restore', () => {
+    runner.it('should write the merge in one import', async () => {
+      const writes = [];
+      const storage = {
+        getAllProgress: async () => [record(1, 2000)],
+        getAllReviewLog: async () => [],
+        getCustomDeck: async () => ({ phrases: [], categories: [] }),
+        importRecords: async (records) => writes.push(records),
+      };
+
+      const summary = await Backup.restore(storage, backup([record(1, 5000), record(2, 100)]), 'newer');
+
+      assert.equal(writes.length, 1);
+      assert.equal(writes[0].progress.length, 2);
+      assert.equal(summary.updated, 1);
+    });
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerBackupTests };
+} else if (typeof window !== 'undefined') {
+  window.registerBackupTests = registerBackupTests;
+}
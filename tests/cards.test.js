@@ -0,0 +1,40 @@
+/**
+ * Tests for card directions
+ */
+
+function registerCardsTests(runner) {
+  runner.describe('Cards', () => {
+    const hola = { id: 1, text: 'Hola', english: 'Hello', emoji: '👋' };
+
+    runner.it('should keep the plain phrase id as the image card key', () => {
+      assert.equal(Cards.key(7), 7);
+      assert.equal(Cards.key(7, 'en-es'), '7:en-es');
+    });
+
+    runner.it('should parse card keys back', () => {
+      assert.deepEqual(Cards.parseKey(7), { phraseId: 7, direction: 'image' });
+      assert.deepEqual(Cards.parseKey('7:emoji'), { phraseId: 7, direction: 'emoji' });
+    });
+
+    runner.it('should fall back to image cards without a known direction', () => {
+      assert.deepEqual(Cards.directions([]), ['image']);
+      assert.deepEqual(Cards.directions(['emoji', 'bogus', 'en-es']), ['en-es', 'emoji']);
+    });
+
+    runner.it('should expect English for Spanish prompts', () => {
+      assert.equal(Cards.answer(hola, 'es-en'), 'Hello');
+      assert.equal(Cards.answer(hola, 'emoji'), 'Hola');
+    });
+
+    runner.it('should skip directions a phrase has no data for', () => {
+      assert.ok(Cards.supports(hola, 'emoji'));
+      assert.ok(!Cards.supports({ id: 2, text: 'Gracias' }, 'en-es'));
+    });
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerCardsTests };
+} else if (typeof window !== 'undefined') {
+  window.registerCardsTests = registerCardsTests;
+}
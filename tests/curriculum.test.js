@@ -0,0 +1,52 @@
+/**
+ * Tests for the order new phrases are introduced in
+ */
+
+function registerCurriculumTests(runner) {
+  const phrases = [
+    { id: 1, text: '¿Dónde está el baño?', category: 'directions', complexity: 2 },
+    { id: 2, text: 'Hola', category: 'basics', complexity: 0 },
+    { id: 3, text: 'Quisiera una mesa para dos', category: 'food', complexity: 3 },
+    { id: 4, text: 'Gracias', category: 'basics', complexity: 0 },
+    { id: 5, text: 'A la derecha', category: 'directions', complexity: 1 },
+  ];
+  const ids = (ordered) => ordered.map(p => p.id);
+
+  runner.describe('Curriculum.order', () => {
+    runner.it('should keep file order by default', () => {
+      assert.deepEqual(ids(Curriculum.order(phrases)), [1, 2, 3, 4, 5]);
+    });
+
+    runner.it('should put the easiest phrases first', () => {
+      assert.deepEqual(ids(Curriculum.order(phrases, { newOrder: 'easiest' })), [2, 4, 5, 1, 3]);
+    });
+
+    runner.it('should take turns between categories', () => {
+      assert.deepEqual(ids(Curriculum.order(phrases, { newOrder: 'categories' })), [5, 2, 3, 1, 4]);
+    });
+
+    runner.it('should shuffle the same way for the same seed', () => {
+      const first = ids(Curriculum.order(phrases, { newOrder: 'random', newOrderSeed: 42 }));
+      const again = ids(Curriculum.order(phrases, { newOrder: 'random', newOrderSeed: 42 }));
+
+      assert.deepEqual(first, again);
+      assert.deepEqual([...first].sort(), [1, 2, 3, 4, 5]);
+    });
+
+    runner.it('should put pinned phrases first and skip unknown ids', () => {
+      const ordered = Curriculum.order(phrases, { newOrder: 'pinned', pinnedOrder: [3, 99, 1] });
+      assert.deepEqual(ids(ordered), [3, 1, 2, 4, 5]);
+    });
+
+    runner.it('should not modify the phrase list', () => {
+      Curriculum.order(phrases, { newOrder: 'random', newOrderSeed: 7 });
+      assert.deepEqual(ids(phrases), [1, 2, 3, 4, 5]);
+    });
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerCurriculumTests };
+} else if (typeof window !== 'undefined') {
+  window.registerCurriculumTests = registerCurriculumTests;
+}
@@ -0,0 +1,63 @@
+/**
+ * Tests for Daily Quota Mode
+ */
+
+function registerDailyQuotaTests(runner) {
+  runner.describe('DailyQuota', () => {
+    const noon = new Date(2025, 2, 14, 12, 0, 0).getTime();
+
+    runner.it('should build local day keys', () => {
+      assert.equal(DailyQuota.dayKey(noon), '2025-03-14');
+    });
+
+    runner.it('should find the next local midnight', () => {
+      assert.equal(DailyQuota.nextMidnight(noon), new Date(2025, 2, 15, 0, 0, 0).getTime());
+    });
+
+    runner.it('should use the configured target or the default', () => {
+      assert.equal(DailyQuota.target({ dailyQuota: 5 }), 5);
+      assert.equal(DailyQuota.target({}), 10);
+      assert.equal(DailyQuota.target({ dailyQuota: 0 }), 10);
+    });
+
+    runner.it('should start fresh on a new day', () => {
+      const state = { day: '2025-03-13', correct: 7, unlocked: true };
+      const current = DailyQuota.current(state, noon);
+
+      assert.equal(current.day, '2025-03-14');
+      assert.equal(current.correct, 0);
+      assert.equal(current.unlocked, false);
+    });
+
+    runner.it('should count only correct answers', () => {
+      let state = DailyQuota.record(null, { correct: true }, 3, noon);
+      state = DailyQuota.record(state, { correct: false }, 3, noon);
+
+      assert.equal(state.correct, 1);
+      assert.equal(state.unlocked, false);
+    });
+
+    runner.it('should unlock when the quota is met', () => {
+      let state = null;
+      for (let i = 0; i < 3; i++) {
+        state = DailyQuota.record(state, { correct: true }, 3, noon);
+      }
+
+      assert.equal(state.correct, 3);
+      assert.equal(state.unlocked, true);
+    });
+
+    runner.it('should unlock when all due phrases are cleared', () => {
+      const state = DailyQuota.record(null, { correct: true, dueCleared: true }, 10, noon);
+
+      assert.equal(state.unlocked, true);
+    });
+  });
+}
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerDailyQuotaTests };
+} else if (typeof window !== 'undefined') {
+  window.registerDailyQuotaTests = registerDailyQuotaTests;
+}
@@ -0,0 +1,71 @@
+/**
+ * Tests for Emergency Bypass Tokens
+ */
+
+function registerEmergencyTokensTests(runner) {
+  // Wednesday 2025-03-12, local time
+  const wednesday = new Date(2025, 2, 12, 15, 0).getTime();
+  const nextMonday = new Date(2025, 2, 17, 0, 30).getTime();
+
+  runner.describe('EmergencyTokens.weekKey', () => {
+    runner.it('should key a week by its Monday', () => {
+      assert.equal(EmergencyTokens.weekKey(wednesday), '2025-03-10');
+      assert.equal(EmergencyTokens.weekKey(new Date(2025, 2, 16, 23, 0).getTime()), '2025-03-10');
+      assert.equal(EmergencyTokens.weekKey(nextMonday), '2025-03-17');
+    });
+  });
+
+  runner.describe('EmergencyTokens.allowance', () => {
+    runner.it('should default to the built-in weekly budget', () => {
+      assert.equal(EmergencyTokens.allowance({}), 3);
+    });
+
+    runner.it('should allow turning bypasses off entirely', () => {
+      assert.equal(EmergencyTokens.allowance({ weeklyTokens: 0 }), 0);
+    });
+  });
+
+  runner.describe('EmergencyTokens.spend', () => {
+    const settings = { weeklyTokens: 2 };
+
+    runner.it('should count down the remaining tokens', () => {
+      const first = EmergencyTokens.spend(null, settings, wednesday);
+      assert.equal(first.used, 1);
+      assert.equal(EmergencyTokens.remaining(first, settings, wednesday), 1);
+    });
+
+    runner.it('should refuse once the budget is spent', () => {
+      const state = { week: '2025-03-10', used: 2 };
+      assert.equal(EmergencyTokens.spend(state, settings, wednesday), null);
+      assert.equal(EmergencyTokens.remaining(state, settings, wednesday), 0);
+    });
+
+    runner.it('should refill on a new week', () => {
+      const state = { week: '2025-03-10', used: 2 };
+      assert.equal(EmergencyTokens.remaining(state, settings, nextMonday), 2);
+    });
+  });
+
+  runner.describe('EmergencyTokens bypass log', () => {
+    runner.it('should keep only the most recent entries', () => {
+      let log = null;
+      for (let i = 0; i < 5; i++) {
+        log = EmergencyTokens.appendLog(log, { at: i, siteId: 'news' }, 3);
+      }
+      assert.deepEqual(log.map(entry => entry.at), [2, 3, 4]);
+    });
+
+    runner.it('should count bypasses since a time', () => {
+      const log = [{ at: 100 }, { at: 200 }, { at: 300 }];
+      assert.equal(EmergencyTokens.countSince(log, 200), 2);
+      assert.equal(EmergencyTokens.countSince(undefined, 0), 0);
+    });
+  });
+}
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerEmergencyTokensTests };
+} else if (typeof window !== 'undefined') {
+  window.registerEmergencyTokensTests = registerEmergencyTokensTests;
+}
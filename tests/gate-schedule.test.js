@@ -0,0 +1,109 @@
+/**
+ * Tests for the Gating Schedule
+ */
+
+function registerGateScheduleTests(runner) {
+  // Wednesday 2025-03-12, local time
+  const at = (day, hours, minutes = 0) => new Date(2025, 2, day, hours, minutes).getTime();
+  const workdays = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+  const nights = { days: [3], start: '22:00', end: '06:00' };
+
+  runner.describe('GateSchedule.parseTime', () => {
+    runner.it('should convert HH:MM to minutes', () => {
+      assert.equal(GateSchedule.parseTime('09:30'), 570);
+      assert.equal(GateSchedule.parseTime('0:00'), 0);
+    });
+
+    runner.it('should reject malformed times', () => {
+      assert.equal(GateSchedule.parseTime('25:00'), null);
+      assert.equal(GateSchedule.parseTime('9am'), null);
+      assert.equal(GateSchedule.parseTime(undefined), null);
+    });
+  });
+
+  runner.describe('GateSchedule.isValidWindow', () => {
+    runner.it('should accept a window with days and distinct times', () => {
+      assert.ok(GateSchedule.isValidWindow(workdays));
+    });
+
+    runner.it('should reject windows without days or with equal times', () => {
+      assert.ok(!GateSchedule.isValidWindow({ days: [], start: '09:00', end: '17:00' }));
+      assert.ok(!GateSchedule.isValidWindow({ days: [7], start: '09:00', end: '17:00' }));
+      assert.ok(!GateSchedule.isValidWindow({ days: [1], start: '09:00', end: '09:00' }));
+    });
+  });
+
+  runner.describe('GateSchedule.isInWindow', () => {
+    runner.it('should include the start and exclude the end', () => {
+      assert.ok(GateSchedule.isInWindow(workdays, new Date(at(12, 9))));
+      assert.ok(!GateSchedule.isInWindow(workdays, new Date(at(12, 17))));
+    });
+
+    runner.it('should skip days not in the window', () => {
+      // Saturday
+      assert.ok(!GateSchedule.isInWindow(workdays, new Date(at(15, 10))));
+    });
+
+    runner.it('should run overnight windows into the next day', () => {
+      assert.ok(GateSchedule.isInWindow(nights, new Date(at(12, 23))));
+      assert.ok(GateSchedule.isInWindow(nights, new Date(at(13, 5))));
+      assert.ok(!GateSchedule.isInWindow(nights, new Date(at(13, 23))));
+      assert.ok(!GateSchedule.isInWindow(nights, new Date(at(12, 5))));
+    });
+  });
+
+  runner.describe('GateSchedule.inactiveReason', () => {
+    runner.it('should gate around the clock without windows', () => {
+      assert.equal(GateSchedule.inactiveReason({ enabled: true }, at(15, 3)), null);
+      assert.ok(GateSchedule.isGating({}, at(15, 3)));
+    });
+
+    runner.it('should report the master switch first', () => {
+      const settings = { enabled: false, schedule: { windows: [workdays], pausedUntil: at(12, 12) } };
+      assert.equal(GateSchedule.inactiveReason(settings, at(12, 10)), 'disabled');
+    });
+
+    runner.it('should report a pause until it ends', () => {
+      const settings = { enabled: true, schedule: { pausedUntil: at(12, 12) } };
+      assert.equal(GateSchedule.inactiveReason(settings, at(12, 10)), 'paused');
+      assert.equal(GateSchedule.inactiveReason(settings, at(12, 12)), null);
+    });
+
+    runner.it('should report times outside every window', () => {
+      const settings = { enabled: true, schedule: { windows: [workdays] } };
+      assert.equal(GateSchedule.inactiveReason(settings, at(12, 8)), 'schedule');
+      assert.equal(GateSchedule.inactiveReason(settings, at(12, 10)), null);
+    });
+  });
+
+  runner.describe('GateSchedule.nextChange', () => {
+    runner.it('should find the next window edge', () => {
+      const settings = { schedule: { windows: [workdays] } };
+      assert.equal(GateSchedule.nextChange(settings, at(12, 10)), at(12, 17));
+      // Friday evening → Monday morning
+      assert.equal(GateSchedule.nextChange(settings, at(14, 18)), at(17, 9));
+    });
+
+    runner.it('should find the end of an overnight window that started yesterday', () => {
+      const settings = { schedule: { windows: [nights] } };
+      assert.equal(GateSchedule.nextChange(settings, at(13, 1)), at(13, 6));
+    });
+
+    runner.it('should include the end of a pause', () => {
+      const settings = { schedule: { windows: [workdays], pausedUntil: at(12, 11) } };
+      assert.equal(GateSchedule.nextChange(settings, at(12, 10)), at(12, 11));
+    });
+
+    runner.it('should return null when nothing is scheduled or the gate is off', () => {
+      assert.equal(GateSchedule.nextChange({}, at(12, 10)), null);
+      assert.equal(GateSchedule.nextChange({ enabled: false, schedule: { windows: [workdays] } }, at(12, 10)), null);
+    });
+  });
+}
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerGateScheduleTests };
+} else if (typeof window !== 'undefined') {
+  window.registerGateScheduleTests = registerGateScheduleTests;
+}
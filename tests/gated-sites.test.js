@@ -0,0 +1,200 @@
+/**
+ * Tests for Gated Site Patterns
+ */
+
+function registerGatedSitesTests(runner) {
+  runner.describe('GatedSites.normalizePattern', () => {
+    runner.it('should leave full match patterns unchanged', () => {
+      assert.equal(GatedSites.normalizePattern('*://news.google.com/*'), '*://news.google.com/*');
+    });
+
+    runner.it('should gate a bare host and its subdomains', () => {
+      assert.equal(GatedSites.normalizePattern('reddit.com'), '*://*.reddit.com/*');
+      assert.equal(GatedSites.normalizePattern('www.youtube.com'), '*://*.youtube.com/*');
+    });
+
+    runner.it('should keep a path given with a bare host', () => {
+      assert.equal(GatedSites.normalizePattern('x.com/home'), '*://*.x.com/home');
+    });
+
+    runner.it('should return empty string for empty input', () => {
+      assert.equal(GatedSites.normalizePattern('  '), '');
+    });
+  });
+
+  runner.describe('GatedSites.isValidPattern', () => {
+    runner.it('should accept Chrome match patterns', () => {
+      assert.ok(GatedSites.isValidPattern('*://news.google.com/*'));
+      assert.ok(GatedSites.isValidPattern('https://*.reddit.com/*'));
+      assert.ok(GatedSites.isValidPattern('http://localhost:3000/*'));
+    });
+
+    runner.it('should reject malformed patterns', () => {
+      assert.ok(!GatedSites.isValidPattern('news.google.com'));
+      assert.ok(!GatedSites.isValidPattern('ftp://example.com/*'));
+      assert.ok(!GatedSites.isValidPattern('*://example..com/*'));
+      assert.ok(!GatedSites.isValidPattern('*://example.com'));
+    });
+  });
+
+  runner.describe('GatedSites.matches', () => {
+    runner.it('should match exact hosts', () => {
+      assert.ok(GatedSites.matches('*://news.google.com/*', 'https://news.google.com/home?hl=en'));
+      assert.ok(!GatedSites.matches('*://news.google.com/*', 'https://www.google.com/'));
+    });
+
+    runner.it('should match subdomain wildcards including the bare domain', () => {
+      assert.ok(GatedSites.matches('*://*.reddit.com/*', 'https://reddit.com/'));
+      assert.ok(GatedSites.matches('*://*.reddit.com/*', 'https://old.reddit.com/r/spanish'));
+      assert.ok(!GatedSites.matches('*://*.reddit.com/*', 'https://notreddit.com/'));
+    });
+
+    runner.it('should respect scheme and port', () => {
+      assert.ok(!GatedSites.matches('https://example.com/*', 'http://example.com/'));
+      assert.ok(GatedSites.matches('http://localhost:3000/*', 'http://localhost:3000/dash'));
+      assert.ok(!GatedSites.matches('http://localhost:3000/*', 'http://localhost:8080/dash'));
+    });
+
+    runner.it('should match paths', () => {
+      assert.ok(GatedSites.matches('*://x.com/home*', 'https://x.com/home'));
+      assert.ok(!GatedSites.matches('*://x.com/home*', 'https://x.com/settings'));
+    });
+
+    runner.it('should not match invalid URLs', () => {
+      assert.ok(!GatedSites.matches('*://*/*', 'not a url'));
+    });
+  });
+
+  runner.describe('GatedSites.findSite', () => {
+    const sites = [
+      { id: 'reddit', pattern: '*://*.reddit.com/*', enabled: false },
+      { id: 'youtube', pattern: '*://*.youtube.com/*', enabled: true },
+    ];
+
+    runner.it('should find the enabled site matching a URL', () => {
+      assert.equal(GatedSites.findSite(sites, 'https://www.youtube.com/watch?v=1').id, 'youtube');
+    });
+
+    runner.it('should ignore disabled sites', () => {
+      assert.equal(GatedSites.findSite(sites, 'https://www.reddit.com/'), null);
+    });
+
+    runner.it('should only register enabled patterns', () => {
+      assert.deepEqual(GatedSites.getMatches(sites), ['*://*.youtube.com/*']);
+    });
+  });
+
+  runner.describe('GatedSites.resolveCooldowns', () => {
+    const settings = { correctCooldownMin: 10, incorrectCooldownMin: 3 };
+
+    runner.it('should use global settings when the site has no overrides', () => {
+      const cooldowns = GatedSites.resolveCooldowns({ id: 'a' }, settings);
+      assert.deepEqual(cooldowns, { correctCooldownMin: 10, incorrectCooldownMin: 3, perfectCooldownMin: 10 });
+    });
+
+    runner.it('should prefer per-site overrides', () => {
+      const site = { id: 'a', correctCooldownMin: 30, incorrectCooldownMin: null };
+      const cooldowns = GatedSites.resolveCooldowns(site, settings);
+      assert.equal(cooldowns.correctCooldownMin, 30);
+      assert.equal(cooldowns.incorrectCooldownMin, 3);
+    });
+
+    runner.it('should fall back to built-in defaults', () => {
+      const cooldowns = GatedSites.resolveCooldowns(null, {});
+      assert.deepEqual(cooldowns, { correctCooldownMin: 10, incorrectCooldownMin: 3, perfectCooldownMin: 10 });
+    });
+  });
+
+  runner.describe('GatedSites.cooldownFor', () => {
+    const settings = { correctCooldownMin: 10, incorrectCooldownMin: 3 };
+    const site = { id: 'a', correctCooldownMin: 45 };
+
+    runner.it('should give the correct cooldown for a correct answer', () => {
+      assert.equal(GatedSites.cooldownFor('correct', site, settings), 45);
+    });
+
+    runner.it('should give the incorrect cooldown for wrong or skipped answers', () => {
+      assert.equal(GatedSites.cooldownFor('incorrect', site, settings), 3);
+      assert.equal(GatedSites.cooldownFor('skipped', site, settings), 3);
+    });
+
+    runner.it('should give perfect sessions their own cooldown, defaulting to the correct one', () => {
+      assert.equal(GatedSites.cooldownFor('perfect', site, settings), 45);
+      assert.equal(GatedSites.cooldownFor('perfect', { ...site, perfectCooldownMin: 90 }, settings), 90);
+    });
+  });
+
+  runner.describe('GatedSites.resolveSession', () => {
+    runner.it('should ask a single phrase by default', () => {
+      assert.deepEqual(GatedSites.resolveSession(null, {}), { sessionLength: 1, passThreshold: 1 });
+    });
+
+    runner.it('should prefer per-site overrides and require every answer by default', () => {
+      const session = GatedSites.resolveSession({ id: 'a', sessionLength: 5 }, { sessionLength: 3, passThreshold: 2 });
+      assert.deepEqual(session, { sessionLength: 5, passThreshold: 2 });
+      assert.equal(GatedSites.resolveSession({ id: 'a', sessionLength: 4 }, {}).passThreshold, 4);
+    });
+
+    runner.it('should cap the pass threshold at the session length', () => {
+      const session = GatedSites.resolveSession({ id: 'a', sessionLength: 3, passThreshold: 8 }, {});
+      assert.equal(session.passThreshold, 3);
+    });
+  });
+
+  runner.describe('GatedSites.sessionOutcome', () => {
+    const session = { sessionLength: 5, passThreshold: 3 };
+
+    runner.it('should grade sessions against the threshold', () => {
+      assert.equal(GatedSites.sessionOutcome({ correct: 5 }, session), 'perfect');
+      assert.equal(GatedSites.sessionOutcome({ correct: 3 }, session), 'correct');
+      assert.equal(GatedSites.sessionOutcome({ correct: 2 }, session), 'incorrect');
+    });
+  });
+
+  runner.describe('GatedSites.activeBypasses', () => {
+    const sites = [
+      { id: 'news', pattern: '*://news.google.com/*', enabled: true },
+      { id: 'reddit', pattern: '*://*.reddit.com/*', enabled: true },
+    ];
+
+    runner.it('should list only unexpired bypasses, soonest first', () => {
+      const now = 1000000;
+      const active = GatedSites.activeBypasses({ news: now + 5000, reddit: now + 1000, old: now - 1 }, sites, now);
+
+      assert.equal(active.length, 2);
+      assert.equal(active[0].siteId, 'reddit');
+      assert.equal(active[0].pattern, '*://*.reddit.com/*');
+      assert.equal(active[1].siteId, 'news');
+    });
+
+    runner.it('should handle a missing bypass map', () => {
+      assert.deepEqual(GatedSites.activeBypasses(undefined, sites), []);
+    });
+  });
+
+  runner.describe('GatedSites.createSite', () => {
+    runner.it('should create an enabled site from a bare host', () => {
+      const site = GatedSites.createSite('reddit.com');
+      assert.equal(site.pattern, '*://*.reddit.com/*');
+      assert.equal(site.enabled, true);
+      assert.ok(site.id);
+    });
+
+    runner.it('should keep ids unique', () => {
+      const first = GatedSites.createSite('*://x.com/*');
+      const second = GatedSites.createSite('*://x.com/*', [first]);
+      assert.notEqual(first.id, second.id);
+    });
+
+    runner.it('should return null for invalid input', () => {
+      assert.equal(GatedSites.createSite('ftp://example.com/*'), null);
+    });
+  });
+}
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerGatedSitesTests };
+} else if (typeof window !== 'undefined') {
+  window.registerGatedSitesTests = registerGatedSitesTests;
+}
@@ -0,0 +1,84 @@
+/**
+ * Tests for settings migrations
+ */
+
+function registerMigrationsTests(runner) {
+  runner.describe('Migrations.migrate', () => {
+    runner.it('should bring unversioned data up to date', () => {
+      const { data, version, applied } = Migrations.migrate({
+        bypassUntil: 123,
+        settings: { enabled: false, correctCooldownMin: 30 },
+      });
+
+      assert.equal(version, SETTINGS_VERSION);
+      assert.deepEqual(applied, SETTINGS_MIGRATIONS.map(step => step.version));
+      assert.equal(data.settingsVersion, SETTINGS_VERSION);
+      assert.ok(!('bypassUntil' in data));
+      assert.equal(data.settings.enabled, false);
+      assert.equal(data.settings.correctCooldownMin, 30);
+      assert.equal(data.settings.scheduler, 'sm2');
+    });
+
+    runner.it('should keep the scheduling of settings from before the defaults', () => {
+      const settings = { enabled: true, correctCooldownMin: 10, incorrectCooldownMin: 3, strictAccents: false };
+      const { data } = Migrations.migrate({ settings });
+
+      for (const key of ['learningSteps', 'relearningSteps', 'newOrder', 'newPerDay', 'reviewsPerDay',
+        'limitFallback', 'leechThreshold', 'leechAction']) {
+        assert.ok(!(key in data.settings), `${key} should stay unset`);
+      }
+      const srs = new SpacedRepetition(null, [{ id: 1, text: 'hola' }], data.settings);
+      assert.deepEqual(srs.learningSteps, []);
+      assert.equal(srs.newPerDay, Infinity);
+      assert.equal(srs.reviewsPerDay, Infinity);
+      assert.equal(srs.leechThreshold, Infinity);
+    });
+
+    runner.it('should skip steps that already ran', () => {
+      const data = { settingsVersion: SETTINGS_VERSION, bypassUntil: 123 };
+      const result = Migrations.migrate(data);
+
+      assert.deepEqual(result.applied, []);
+      assert.equal(result.data.bypassUntil, 123);
+    });
+
+    runner.it('should stop at a failing step and keep the steps before it', () => {
+      const steps = [
+        { version: 1, migrate: data => ({ ...data, a: 1 }) },
+        { version: 2, migrate: data => { data.b = 2; throw new Error('boom'); } },
+        { version: 3, migrate: data => ({ ...data, c: 3 }) },
+      ];
+      const result = Migrations.migrate({}, steps);
+
+      assert.equal(result.version, 1);
+      assert.equal(result.error.message, 'boom');
+      assert.deepEqual(result.data, { a: 1, settingsVersion: 1 });
+    });
+
+    runner.it('should not change the data it was given', () => {
+      const original = { bypassUntil: 1, settings: {} };
+      Migrations.migrate(original);
+
+      assert.equal(original.bypassUntil, 1);
+      assert.deepEqual(original.settings, {});
+    });
+  });
+
+  runner.describe('Migrations.diff', () => {
+    runner.it('should list changed and removed keys only', () => {
+      const diff = Migrations.diff(
+        { a: 1, b: { x: 1 }, gone: true },
+        { a: 1, b: { x: 2 }, settingsVersion: 2 }
+      );
+
+      assert.deepEqual(diff.set, { b: { x: 2 }, settingsVersion: 2 });
+      assert.deepEqual(diff.remove, ['gone']);
+    });
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerMigrationsTests };
+} else if (typeof window !== 'undefined') {
+  window.registerMigrationsTests = registerMigrationsTests;
+}
@@ -0,0 +1,96 @@
+/**
+ * Tests for the SM-2 and FSRS Schedulers
+ */
+
+function registerSchedulersTests(runner) {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  runner.describe('FsrsScheduler', () => {
+    let fsrs;
+
+    runner.beforeEach(() => {
+      fsrs = new FsrsScheduler();
+    });
+
+    runner.it('should map SM-2 qualities to FSRS ratings', () => {
+      assert.equal(FsrsScheduler.rating(0), 1);
+      assert.equal(FsrsScheduler.rating(2), 1);
+      assert.equal(FsrsScheduler.rating(3), 2);
+      assert.equal(FsrsScheduler.rating(4), 3);
+      assert.equal(FsrsScheduler.rating(5), 4);
+    });
+
+    runner.it('should have 90% retrievability after stability days', () => {
+      assert.approximately(FsrsScheduler.retrievability(10, 10), 0.9, 0.0001);
+      assert.equal(FsrsScheduler.retrievability(0, 10), 1);
+    });
+
+    runner.it('should start stability from the first rating', () => {
+      const progress = fsrs.schedule(fsrs.seed({ repetitions: 0, interval: 0, totalReviews: 0 }), 4);
+      assert.approximately(progress.stability, 3.7145, 0.0001);
+      assert.equal(progress.interval, 4);
+      assert.equal(progress.repetitions, 1);
+    });
+
+    runner.it('should grow stability on successful reviews', () => {
+      const now = Date.now();
+      const progress = { repetitions: 1, interval: 4, stability: 4, difficulty: 5, lastReview: now - 4 * DAY, scheduler: 'fsrs', totalReviews: 1 };
+      const good = fsrs.schedule(fsrs.seed(progress), 4, now);
+      const easy = fsrs.schedule(fsrs.seed(progress), 5, now);
+      assert.ok(good.stability > 4);
+      assert.ok(easy.stability > good.stability);
+      assert.ok(easy.difficulty < good.difficulty);
+    });
+
+    runner.it('should shrink stability and reset on a lapse', () => {
+      const now = Date.now();
+      const progress = { repetitions: 3, interval: 20, stability: 20, difficulty: 5, lastReview: now - 20 * DAY, scheduler: 'fsrs', totalReviews: 3 };
+      const lapsed = fsrs.schedule(fsrs.seed(progress), 1, now);
+      assert.ok(lapsed.stability < 20);
+      assert.ok(lapsed.difficulty > 5);
+      assert.equal(lapsed.repetitions, 0);
+      assert.equal(lapsed.interval, 1);
+    });
+
+    runner.it('should schedule sooner for a higher target retention', () => {
+      const strict = new FsrsScheduler({ targetRetention: 0.95 });
+      const relaxed = new FsrsScheduler({ targetRetention: 0.8 });
+      assert.equal(fsrs.nextInterval(30), 30);
+      assert.ok(strict.nextInterval(30) < 30);
+      assert.ok(relaxed.nextInterval(30) > 30);
+    });
+  });
+
+  runner.describe('Scheduler migration', () => {
+    const sm2Record = { phraseId: 1, easeFactor: 2.5, interval: 15, repetitions: 3, totalReviews: 3 };
+
+    runner.it('should seed FSRS from an SM-2 record', () => {
+      const seeded = new FsrsScheduler().seed(sm2Record);
+      assert.equal(seeded.stability, 15);
+      assert.equal(seeded.difficulty, 5);
+      assert.equal(seeded.repetitions, 3);
+    });
+
+    runner.it('should treat harder SM-2 cards as more difficult', () => {
+      const seeded = new FsrsScheduler().seed({ ...sm2Record, easeFactor: 1.5 });
+      assert.ok(seeded.difficulty > 5);
+    });
+
+    runner.it('should seed the SM-2 ease factor back from FSRS difficulty', () => {
+      const seeded = new Sm2Scheduler().seed({ ...sm2Record, scheduler: 'fsrs', difficulty: 7.5, easeFactor: 2.5 });
+      assert.approximately(seeded.easeFactor, 2.0, 0.0001);
+    });
+
+    runner.it('should create the scheduler named in the settings', () => {
+      assert.equal(createScheduler('fsrs', { targetRetention: 0.85 }).targetRetention, 0.85);
+      assert.equal(createScheduler(undefined).name, 'sm2');
+    });
+  });
+}
+
+// Export for different contexts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerSchedulersTests };
+} else if (typeof window !== 'undefined') {
+  window.registerSchedulersTests = registerSchedulersTests;
+}
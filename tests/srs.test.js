@@ -24,9 +24,44 @@ class MockStorage {
     return Array.from(this.data.values());
   }
 
+  async getAllKeys() {
+    return Array.from(this.data.keys());
+  }
+
+  async getDueForReview(now = Date.now()) {
+    return Array.from(this.data.values())
+      .filter(p => p.nextReview <= now)
+      .sort((a, b) => a.nextReview - b.nextReview);
+  }
+
+  async countScheduled() {
+    return Array.from(this.data.values()).filter(p => p.nextReview > 0).length;
+  }
+
+  async findSoonestDue(predicate) {
+    const sorted = Array.from(this.data.values()).sort((a, b) => a.nextReview - b.nextReview);
+    return sorted.find(predicate) || null;
+  }
+
   async clearAll() {
     this.data.clear();
   }
+
+  async addReviewLog(entry) {
+    this.log = this.log || [];
+    this.log.push(entry);
+    return this.log.length;
+  }
+
+  async getDailyCounts() {
+    return { newCount: 0, reviewCount: 0, ...this.counts };
+  }
+
+  async incrementDailyCount(kind) {
+    this.counts = await this.getDailyCounts();
+    this.counts[kind]++;
+    return this.counts;
+  }
 }
 
 // Test data
@@ -200,6 +235,25 @@ function registerSRSTests(runner) {
       assert.equal(progress.totalReviews, 1);
     });
 
+    runner.it('should keep history when switching to FSRS', async () => {
+      await srs.recordReview(1, true, false);
+      await srs.recordReview(1, true, false);
+      const before = await storage.getProgress(1);
+
+      const fsrs = new SpacedRepetition(storage, testPhrases, { scheduler: 'fsrs' });
+      assert.equal(await fsrs.migrateProgress(), 1);
+
+      const migrated = await storage.getProgress(1);
+      assert.equal(migrated.scheduler, 'fsrs');
+      assert.equal(migrated.stability, 6);
+      assert.equal(migrated.nextReview, before.nextReview);
+      assert.equal(migrated.totalReviews, 2);
+
+      const next = await fsrs.recordReview(1, true, false);
+      assert.equal(next.repetitions, 3);
+      assert.equal(next.totalReviews, 3);
+    });
+
     runner.it('should calculate statistics correctly', async () => {
       // Add some progress
       await storage.saveProgress({
@@ -233,6 +287,486 @@ function registerSRSTests(runner) {
       assert.equal(stats.totalReviews, 8);
       assert.approximately(stats.accuracy, 0.75, 0.01);
     });
+
+    runner.it('should pick a card without loading every record', async () => {
+      await storage.saveProgress({ ...srs.createInitialProgress(2), state: 'review', repetitions: 1, nextReview: Date.now() - 1000 });
+      storage.getAllProgress = () => { throw new Error('full scan'); };
+
+      assert.equal((await srs.selectNext()).phrase.id, 2);
+      await storage.saveProgress({ ...srs.createInitialProgress(2), state: 'review', repetitions: 1, nextReview: Date.now() + 1000 });
+      assert.equal((await srs.selectNext()).phrase.id, 1);
+    });
+
+    runner.it('should count the quiz stats without loading every record', async () => {
+      await storage.saveProgress({ ...srs.createInitialProgress(1), state: 'review', totalReviews: 2, nextReview: Date.now() - 1000 });
+      await storage.saveProgress({ ...srs.createInitialProgress(2), state: 'review', totalReviews: 1, nextReview: Date.now() + 1000 });
+      await storage.saveProgress({ ...srs.createInitialProgress(3), suspended: true });
+      storage.getAllProgress = () => { throw new Error('full scan'); };
+
+      assert.deepEqual(await srs.getGateStats(), { learned: 2, dueNow: 1 });
+    });
+
+    runner.it('should log every attempt with its signals', async () => {
+      const entry = await srs.logAttempt('1:es-en', {
+        correct: false,
+        signals: { answer: 'Helo', similarity: 0.8, attempts: 2, responseMs: 4000 },
+        origin: 'gate',
+        source: 'review',
+      });
+
+      assert.equal(entry.id, 1);
+      assert.equal(entry.answer, 'Helo');
+      assert.equal(entry.attempt, 2);
+      assert.equal(entry.quality, 2);
+      assert.equal(entry.origin, 'gate');
+      assert.equal(storage.log.length, 1);
+    });
+
+    runner.it('should introduce new phrases in curriculum order', async () => {
+      srs = new SpacedRepetition(storage, testPhrases, { newOrder: 'pinned', pinnedOrder: [3] });
+      assert.equal((await srs.getNextPhrase()).id, 3);
+
+      await srs.recordReview(3, true, false);
+      assert.deepEqual((await srs.getUpcomingNew()).map(p => p.id), [1, 2]);
+    });
+  });
+
+  runner.describe('SpacedRepetition learning steps', () => {
+    const MINUTE = 60 * 1000;
+    let storage;
+    let srs;
+
+    runner.beforeEach(() => {
+      storage = new MockStorage();
+      srs = new SpacedRepetition(storage, testPhrases, { learningSteps: [1, 10, 60], relearningSteps: [10] });
+    });
+
+    runner.it('should move a new phrase through its minute steps', () => {
+      let progress = srs.createInitialProgress(1);
+      progress = srs.calculateNextReview(progress, 4);
+
+      assert.equal(progress.state, 'learning');
+      assert.equal(progress.step, 1);
+      assert.approximately(progress.nextReview - progress.lastReview, 10 * MINUTE, 1);
+
+      progress = srs.calculateNextReview(progress, 4);
+      assert.equal(progress.step, 2);
+      assert.approximately(progress.nextReview - progress.lastReview, 60 * MINUTE, 1);
+    });
+
+    runner.it('should send a failed learning phrase back to the first step', () => {
+      let progress = srs.createInitialProgress(1);
+      progress = srs.calculateNextReview(progress, 4);
+      progress = srs.calculateNextReview(progress, 1);
+
+      assert.equal(progress.state, 'learning');
+      assert.equal(progress.step, 0);
+      assert.approximately(progress.nextReview - progress.lastReview, MINUTE, 1);
+    });
+
+    runner.it('should graduate to a day interval after the last step', () => {
+      let progress = srs.createInitialProgress(1);
+      for (let i = 0; i < 3; i++) {
+        progress = srs.calculateNextReview(progress, 4);
+      }
+
+      assert.equal(progress.state, 'review');
+      assert.equal(progress.interval, 1);
+      assert.equal(progress.repetitions, 1);
+      assert.equal(progress.totalReviews, 3);
+    });
+
+    runner.it('should relearn a lapsed phrase within minutes', () => {
+      let progress = { ...srs.createInitialProgress(1), state: 'review', interval: 15, repetitions: 3, totalReviews: 3 };
+      progress = srs.calculateNextReview(progress, 1);
+
+      assert.equal(progress.state, 'relearning');
+      assert.equal(progress.interval, 1);
+      assert.approximately(progress.nextReview - progress.lastReview, 10 * MINUTE, 1);
+
+      progress = srs.calculateNextReview(progress, 4);
+      assert.equal(progress.state, 'review');
+      assert.approximately(progress.nextReview - progress.lastReview, 24 * 60 * MINUTE, 1);
+    });
+
+    runner.it('should pick a due learning phrase before due reviews', async () => {
+      const now = Date.now();
+      await storage.saveProgress({ ...srs.createInitialProgress(1), state: 'review', repetitions: 2, totalReviews: 2, nextReview: now - 60 * MINUTE });
+      await storage.saveProgress({ ...srs.createInitialProgress(2), state: 'learning', step: 1, totalReviews: 1, nextReview: now - MINUTE });
+
+      const phrase = await srs.getNextPhrase();
+      assert.equal(phrase.id, 2);
+    });
+
+    runner.it('should parse step lists', () => {
+      assert.deepEqual(SpacedRepetition.parseSteps('1 10 60'), [1, 10, 60]);
+      assert.deepEqual(SpacedRepetition.parseSteps('1m, 10m, 1h'), [1, 10, 60]);
+      assert.deepEqual(SpacedRepetition.parseSteps(''), []);
+      assert.equal(SpacedRepetition.parseSteps('soon'), null);
+    });
+  });
+
+  runner.describe('SpacedRepetition daily limits', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let storage;
+
+    const reviewed = (phraseId, extra = {}) => ({
+      phraseId,
+      easeFactor: 2.5,
+      interval: 30,
+      repetitions: 4,
+      nextReview: Date.now() + 10 * DAY,
+      lastReview: Date.now() - 20 * DAY,
+      totalReviews: 4,
+      correctReviews: 4,
+      state: 'review',
+      ...extra,
+    });
+
+    runner.beforeEach(() => {
+      storage = new MockStorage();
+    });
+
+    runner.it('should count new phrases and due reviews', async () => {
+      const srs = new SpacedRepetition(storage, testPhrases);
+      await storage.saveProgress(reviewed(2, { nextReview: Date.now() - 1000 }));
+
+      await srs.recordReview(1, true, false);
+      await srs.recordReview(2, true, false);
+      await srs.recordReview(2, true, false); // Not due any more
+
+      const counts = await storage.getDailyCounts();
+      assert.equal(counts.newCount, 1);
+      assert.equal(counts.reviewCount, 1);
+    });
+
+    runner.it('should stop serving new phrases at the cap', async () => {
+      const srs = new SpacedRepetition(storage, testPhrases, { newPerDay: 1, limitFallback: 'redrill' });
+      await storage.saveProgress(reviewed(1));
+      storage.counts = { newCount: 1, reviewCount: 0 };
+
+      const next = await srs.selectNext();
+      assert.equal(next.source, 'redrill');
+      assert.equal(next.phrase.id, 1);
+    });
+
+    runner.it('should hold due reviews back at the review cap', async () => {
+      const srs = new SpacedRepetition(storage, testPhrases, { reviewsPerDay: 1, newPerDay: 0, limitFallback: 'unlock' });
+      await storage.saveProgress(reviewed(1, { nextReview: Date.now() - 1000 }));
+      storage.counts = { newCount: 0, reviewCount: 1 };
+
+      const next = await srs.selectNext();
+      assert.equal(next.source, 'limit');
+      assert.equal(next.phrase, null);
+    });
+
+    runner.it('should unlock when there is nothing to re-drill', async () => {
+      const srs = new SpacedRepetition(storage, testPhrases, { newPerDay: 0, limitFallback: 'redrill' });
+      assert.equal((await srs.selectNext()).source, 'limit');
+    });
+
+    runner.it('should prefer the mature phrase left alone the longest', async () => {
+      const srs = new SpacedRepetition(storage, testPhrases);
+      const records = [
+        reviewed(1, { lastReview: Date.now() - 5 * DAY }),
+        reviewed(2, { lastReview: Date.now() - 40 * DAY }),
+        reviewed(3, { interval: 6, lastReview: Date.now() - 90 * DAY }),
+      ];
+      assert.equal(srs.findRedrill(records).phraseId, 2);
+    });
+
+    runner.it('should leave the schedule alone after a correct re-drill', async () => {
+      const srs = new SpacedRepetition(storage, testPhrases);
+      const record = reviewed(1);
+      await storage.saveProgress(record);
+
+      await srs.recordDrill(1, true);
+      assert.equal((await storage.getProgress(1)).nextReview, record.nextReview);
+
+      await srs.recordDrill(1, false);
+      assert.equal((await storage.getProgress(1)).repetitions, 0);
+    });
+  });
+
+  runner.describe('SpacedRepetition leeches', () => {
+    let storage;
+    let srs;
+
+    const learned = (phraseId) => ({
+      ...new SpacedRepetition(storage, testPhrases).createInitialProgress(phraseId),
+      state: 'review',
+      interval: 6,
+      repetitions: 2,
+      totalReviews: 2,
+      correctReviews: 2,
+      nextReview: Date.now() - 1000,
+    });
+
+    runner.beforeEach(() => {
+      storage = new MockStorage();
+      srs = new SpacedRepetition(storage, testPhrases, { leechThreshold: 2 });
+    });
+
+    runner.it('should count lapses of learned phrases only', async () => {
+      await srs.recordReview(1, false, false);
+      assert.equal((await storage.getProgress(1)).lapses, 0);
+
+      await storage.saveProgress(learned(2));
+      const lapsed = await srs.recordReview(2, false, false, { answer: 'buenas dias' });
+      assert.equal(lapsed.lapses, 1);
+      assert.deepEqual(lapsed.failures.map(f => f.answer), ['buenas dias']);
+      assert.ok(!lapsed.leech);
+    });
+
+    runner.it('should suspend a phrase at the leech threshold', async () => {
+      await storage.saveProgress(learned(1));
+      await srs.recordReview(1, false, false);
+      const leech = await srs.recordReview(1, false, false);
+
+      assert.equal(leech.lapses, 2);
+      assert.ok(leech.leech);
+      assert.ok(leech.suspended);
+      assert.equal((await srs.getLeeches())[0].phrase.id, 1);
+    });
+
+    runner.it('should only tag leeches when configured', async () => {
+      srs = new SpacedRepetition(storage, testPhrases, { leechThreshold: 1, leechAction: 'tag' });
+      await storage.saveProgress(learned(1));
+      const leech = await srs.recordReview(1, false, false);
+
+      assert.ok(leech.leech);
+      assert.ok(!leech.suspended);
+    });
+
+    runner.it('should leave suspended phrases out of selection and due counts', async () => {
+      await storage.saveProgress({ ...learned(1), suspended: true });
+      const next = await srs.selectNext();
+      const stats = await srs.getStats();
+
+      assert.equal(next.phrase.id, 2);
+      assert.equal(stats.dueNow, 0);
+      assert.equal(stats.suspended, 1);
+    });
+
+    runner.it('should start a relearned phrase over but keep its history', async () => {
+      await storage.saveProgress({ ...learned(1), lapses: 5, leech: true, suspended: true, failures: [{ at: 1, answer: 'x' }] });
+      const reset = await srs.relearn(1);
+
+      assert.equal(reset.state, 'new');
+      assert.equal(reset.lapses, 0);
+      assert.ok(!reset.leech);
+      assert.ok(!reset.suspended);
+      assert.equal(reset.totalReviews, 2);
+      assert.equal(reset.failures.length, 1);
+      const next = await srs.selectNext();
+      assert.equal(next.phrase, testPhrases[0]);
+      assert.equal(next.source, 'new');
+    });
+
+    runner.it('should start a relearned FSRS phrase over without its memory state', async () => {
+      const fsrs = new SpacedRepetition(storage, testPhrases, { scheduler: 'fsrs' });
+      await storage.saveProgress({ ...learned(1), scheduler: 'fsrs', stability: 40, difficulty: 9.5, lapses: 8, leech: true });
+      const reset = await fsrs.relearn(1);
+
+      assert.ok(!('stability' in reset));
+      assert.ok(!('difficulty' in reset));
+      assert.ok(!('scheduler' in reset));
+
+      const fresh = await fsrs.recordReview(1, true, false);
+      const first = await new SpacedRepetition(new MockStorage(), testPhrases, { scheduler: 'fsrs' }).recordReview(1, true, false);
+      assert.equal(fresh.stability, first.stability);
+      assert.equal(fresh.difficulty, first.difficulty);
+      assert.equal(fresh.interval, first.interval);
+      assert.equal(fresh.totalReviews, 3);
+    });
+  });
+
+  runner.describe('SpacedRepetition phrase states', () => {
+    let storage;
+    let srs;
+
+    runner.beforeEach(() => {
+      storage = new MockStorage();
+      srs = new SpacedRepetition(storage, testPhrases);
+    });
+
+    runner.it('should suspend a phrase that was never reviewed', async () => {
+      const progress = await srs.setSuspended(1, true);
+
+      assert.ok(progress.suspended);
+      assert.equal(progress.totalReviews, 0);
+      assert.equal((await srs.getNextPhrase()).id, 2);
+    });
+
+    runner.it('should bury a phrase until tomorrow', async () => {
+      const progress = await srs.bury(1);
+
+      assert.equal(progress.buriedUntil, DailyQuota.nextMidnight());
+      assert.equal((await srs.getNextPhrase()).id, 2);
+
+      const stats = await srs.getStats();
+      assert.equal(stats.buried, 1);
+      assert.equal(stats.learned, 0);
+
+      await srs.unbury(1);
+      assert.equal((await srs.getNextPhrase()).id, 1);
+    });
+
+    runner.it('should serve a phrase again once its burial has passed', async () => {
+      await storage.saveProgress({ ...srs.createInitialProgress(1), buriedUntil: Date.now() - 1000 });
+      assert.equal((await srs.getNextPhrase()).id, 1);
+    });
+
+    runner.it('should keep flagged phrases in rotation', async () => {
+      await srs.setFlag(1, 'red');
+      assert.equal((await srs.getNextPhrase()).id, 1);
+      assert.equal((await srs.getStats()).flagged, 1);
+
+      const cleared = await srs.setFlag(1, 'purple');
+      assert.equal(cleared.flag, null);
+    });
+
+    runner.it('should list set-aside phrases', async () => {
+      await srs.setSuspended(1, true);
+      await srs.bury(2);
+      await srs.setFlag(3, 'blue');
+      await srs.setSuspended(3, false);
+
+      const ids = (await srs.getSetAside()).map(entry => entry.phrase.id).sort();
+      assert.deepEqual(ids, [1, 2, 3]);
+    });
+
+    runner.it('should list only phrases that may be asked as available', async () => {
+      await srs.setSuspended(1, true);
+      await srs.bury(2);
+      await srs.setFlag(3, 'green');
+
+      assert.deepEqual((await srs.getAvailablePhrases()).map(p => p.id), [3]);
+    });
+  });
+
+  runner.describe('SpacedRepetition categories', () => {
+    const phrases = [
+      ...testPhrases,
+      { id: 4, text: 'La cuenta, por favor', category: 'food' },
+      { id: 5, text: 'Una mesa para dos', category: 'food' },
+    ];
+    let storage;
+    let srs;
+
+    runner.beforeEach(() => {
+      storage = new MockStorage();
+      srs = new SpacedRepetition(storage, phrases, { activeCategories: ['food'] });
+    });
+
+    runner.it('should only ask phrases from active categories', async () => {
+      await storage.saveProgress({ ...srs.createInitialProgress(1), state: 'review', repetitions: 1, nextReview: Date.now() - 1000 });
+
+      assert.equal((await srs.getNextPhrase()).id, 4);
+      assert.equal((await srs.getStats()).dueNow, 0);
+      assert.equal((await srs.getStats()).totalPhrases, 2);
+    });
+
+    runner.it('should study everything without a matching selection', () => {
+      assert.equal(new SpacedRepetition(storage, phrases, { activeCategories: [] }).phrases.length, 5);
+      assert.equal(new SpacedRepetition(storage, phrases, { activeCategories: ['travel'] }).phrases.length, 5);
+    });
+
+    runner.it('should count due and unseen phrases per category', async () => {
+      await storage.saveProgress({ ...srs.createInitialProgress(1), state: 'review', repetitions: 1, nextReview: Date.now() - 1000 });
+      const stats = await srs.getCategoryStats();
+
+      assert.deepEqual(stats.basics, { total: 3, dueNow: 1, unseen: 2 });
+      assert.deepEqual(stats.food, { total: 2, dueNow: 0, unseen: 2 });
+    });
+  });
+
+  runner.describe('SpacedRepetition card directions', () => {
+    const phrases = [
+      { id: 1, text: 'Hola', english: 'Hello', emoji: '👋', category: 'basics' },
+      { id: 2, text: 'Gracias', category: 'basics' },
+    ];
+    let storage;
+    let srs;
+
+    runner.beforeEach(() => {
+      storage = new MockStorage();
+      srs = new SpacedRepetition(storage, phrases, { cardDirections: ['image', 'es-en'] });
+    });
+
+    runner.it('should only build directions a phrase supports', () => {
+      assert.deepEqual([...srs.cards.keys()], [1, '1:es-en', 2]);
+    });
+
+    runner.it('should schedule each direction separately', async () => {
+      const first = await srs.selectNext();
+      assert.equal(first.card.direction, 'image');
+      await srs.recordReview(first.card.key, true, false);
+
+      const second = await srs.selectNext();
+      assert.equal(second.phrase.id, 1);
+      assert.equal(second.card.direction, 'es-en');
+
+      await srs.recordReview('1:es-en', false, false);
+      assert.equal((await storage.getProgress(1)).correctReviews, 1);
+      assert.equal((await storage.getProgress('1:es-en')).correctReviews, 0);
+    });
+
+    runner.it('should ignore progress of disabled directions', async () => {
+      await storage.saveProgress({ ...srs.createInitialProgress('1:es-en'), state: 'review', repetitions: 1, nextReview: Date.now() - 1000 });
+      srs = new SpacedRepetition(storage, phrases);
+
+      assert.equal((await srs.getStats()).dueNow, 0);
+      assert.equal((await srs.selectNext()).card.key, 1);
+    });
+  });
+
+  runner.describe('SpacedRepetition.gradeAnswer', () => {
+    let srs;
+
+    runner.beforeEach(() => {
+      srs = new SpacedRepetition(new MockStorage(), testPhrases);
+    });
+
+    runner.it('should score a fast exact first-try answer as perfect', () => {
+      assert.equal(srs.gradeAnswer(true, false, { exact: true, attempts: 1, responseMs: 3000 }), 5);
+    });
+
+    runner.it('should score an exact answer at normal speed as correct', () => {
+      assert.equal(srs.gradeAnswer(true, false, { exact: true, attempts: 1, responseMs: 10000 }), 4);
+    });
+
+    runner.it('should score slow, fuzzy or retried answers as difficult', () => {
+      assert.equal(srs.gradeAnswer(true, false, { exact: true, attempts: 1, responseMs: 30000 }), 3);
+      assert.equal(srs.gradeAnswer(true, false, { exact: false, similarity: 0.9, attempts: 1, responseMs: 3000 }), 3);
+      assert.equal(srs.gradeAnswer(true, false, { exact: true, attempts: 2, responseMs: 3000 }), 3);
+    });
+
+    runner.it('should tell close misses from wrong answers and skips', () => {
+      assert.equal(srs.gradeAnswer(false, false, { similarity: 0.8 }), 2);
+      assert.equal(srs.gradeAnswer(false, false, { similarity: 0.2 }), 1);
+      assert.equal(srs.gradeAnswer(false, true), 0);
+    });
+
+    runner.it('should keep the fixed grades without signals', () => {
+      assert.equal(srs.gradeAnswer(true), 4);
+      assert.equal(srs.gradeAnswer(false), 1);
+    });
+
+    runner.it('should apply configured thresholds and qualities', () => {
+      const custom = new SpacedRepetition(new MockStorage(), testPhrases, {
+        grading: { fastSec: 15, quality: { perfect: 4 } },
+      });
+      assert.equal(custom.gradeAnswer(true, false, { exact: true, attempts: 1, responseMs: 10000 }), 4);
+      assert.equal(custom.gradeAnswer(false, true), 0);
+    });
+
+    runner.it('should grow the ease factor only for perfect reviews', async () => {
+      const perfect = await srs.recordReview(1, true, false, { exact: true, attempts: 1, responseMs: 2000 });
+      const hesitant = await srs.recordReview(2, true, false, { exact: false, attempts: 1, responseMs: 2000 });
+      assert.ok(perfect.easeFactor > 2.5);
+      assert.ok(hesitant.easeFactor < 2.5);
+    });
   });
 }
 
@@ -117,14 +117,114 @@ function registerStorageTests(runner) {
       assert.equal(due[0].phraseId, 1);
     });
 
+    runner.it('should list due records soonest first from the index', async () => {
+      const now = Date.now();
+      await storage.saveProgress({ phraseId: 1, repetitions: 1, nextReview: now - 1000 });
+      await storage.saveProgress({ phraseId: 2, repetitions: 1, nextReview: now - 5000 });
+      await storage.saveProgress({ phraseId: 3, repetitions: 1, nextReview: now + 5000 });
+
+      const due = await storage.getDueForReview(now);
+      assert.deepEqual(due.map(p => p.phraseId), [2, 1]);
+      assert.deepEqual((await storage.getAllKeys()).sort(), [1, 2, 3]);
+    });
+
+    runner.it('should count scheduled records from the index', async () => {
+      await storage.saveProgress({ phraseId: 1, nextReview: 0 });
+      await storage.saveProgress({ phraseId: 2, nextReview: 5000 });
+      await storage.saveProgress({ phraseId: 3, nextReview: Date.now() + 1000 });
+
+      assert.equal(await storage.countScheduled(), 2);
+    });
+
+    runner.it('should find the soonest record matching a predicate', async () => {
+      const now = Date.now();
+      await storage.saveProgress({ phraseId: 1, repetitions: 1, nextReview: now + 1000, suspended: true });
+      await storage.saveProgress({ phraseId: 2, repetitions: 1, nextReview: now + 2000 });
+      await storage.saveProgress({ phraseId: 3, repetitions: 1, nextReview: now + 3000 });
+
+      const next = await storage.findSoonestDue(p => !p.suspended);
+      assert.equal(next.phraseId, 2);
+      assert.equal(await storage.findSoonestDue(() => false), null);
+    });
+
+    runner.it('should query the review log by card and by time', async () => {
+      await storage.addReviewLog({ phraseId: 1, at: 1000, answer: 'ola', correct: false });
+      await storage.addReviewLog({ phraseId: '1:es-en', at: 2000, answer: 'Hello', correct: true });
+      await storage.addReviewLog({ phraseId: 1, at: 3000, answer: 'hola', correct: true });
+
+      const card = await storage.getReviewLog(1);
+      assert.deepEqual(card.map(e => e.answer), ['ola', 'hola']);
+      assert.ok(card[0].id);
+
+      const between = await storage.getReviewLogBetween(1500, 3000);
+      assert.deepEqual(between.map(e => e.at), [2000, 3000]);
+    });
+
+    runner.it('should import records in one transaction', async () => {
+      await storage.saveProgress({ phraseId: 1, nextReview: 0 });
+      await storage.addReviewLog({ phraseId: 1, at: 1000 });
+
+      await storage.importRecords({
+        progress: [{ phraseId: 2, nextReview: 0 }],
+        reviewLog: [{ phraseId: 2, at: 2000 }],
+        clear: true,
+      });
+
+      assert.deepEqual((await storage.getAllKeys()), [2]);
+      assert.deepEqual((await storage.getAllReviewLog()).map(e => e.phraseId), [2]);
+    });
+
+    runner.it('should merge records against what is stored at write time', async () => {
+      await storage.saveProgress({ phraseId: 1, lastReview: 5000, nextReview: 0 });
+
+      const newer = (stored, incoming) => (!stored || incoming.lastReview > stored.lastReview ? incoming : null);
+      const written = await storage.mergeProgress([
+        { phraseId: 1, lastReview: 3000, nextReview: 0 },
+        { phraseId: 2, lastReview: 3000, nextReview: 0 },
+      ], newer);
+
+      assert.deepEqual(written.map(p => p.phraseId), [2]);
+      assert.equal((await storage.getProgress(1)).lastReview, 5000);
+    });
+
+    runner.it('should keep imported phrases with their progress', async () => {
+      await storage.addCustomDeck({
+        phrases: [{ id: 100000, text: 'la playa', category: 'viajes' }],
+        categories: [{ id: 'viajes', name: 'viajes' }],
+        progress: [{ phraseId: 100000, nextReview: 0 }],
+      });
+      await storage.clearAll();
+
+      const deck = await storage.getCustomDeck();
+      assert.deepEqual(deck.phrases.map(p => p.text), ['la playa']);
+      assert.deepEqual(deck.categories.map(c => c.id), ['viajes']);
+    });
+
+    runner.it('should run only the schema steps between two versions', () => {
+      const ran = [];
+      const steps = [1, 2, 3].map(version => ({ version, migrate: () => ran.push(version) }));
+
+      Storage.upgrade(null, null, 1, 3, steps);
+      assert.deepEqual(ran, [2, 3]);
+    });
+
+    runner.it('should be at the latest schema version', () => {
+      assert.equal(storage.db.version, DB_MIGRATIONS.length);
+      assert.ok(storage.db.objectStoreNames.contains('review_log'));
+      assert.ok(storage.db.objectStoreNames.contains('custom_phrases'));
+    });
+
     runner.it('should clear all data', async () => {
       await storage.saveProgress({ phraseId: 1, easeFactor: 2.5, interval: 1, repetitions: 1, nextReview: Date.now(), lastReview: null, totalReviews: 1, correctReviews: 1 });
       await storage.saveProgress({ phraseId: 2, easeFactor: 2.5, interval: 1, repetitions: 1, nextReview: Date.now(), lastReview: null, totalReviews: 1, correctReviews: 1 });
 
+      await storage.addReviewLog({ phraseId: 1, at: Date.now() });
+
       await storage.clearAll();
 
       const all = await storage.getAllProgress();
       assert.equal(all.length, 0);
+      assert.equal((await storage.getReviewLog(1)).length, 0);
     });
   });
 }
@@ -0,0 +1,152 @@
+/**
+ * Tests for progress sync packing and conflict resolution
+ */
+
+function registerSyncTests(runner) {
+  const minute = 60000;
+  const record = (phraseId, lastReview, extra = {}) => ({
+    phraseId,
+    easeFactor: 2.36,
+    interval: 6,
+    repetitions: 2,
+    nextReview: lastReview + 6 * 24 * 60 * minute,
+    lastReview,
+    totalReviews: 3,
+    correctReviews: 2,
+    state: 'review',
+    step: 0,
+    lapses: 1,
+    failures: [{ at: 1, answer: 'ola' }],
+    leech: false,
+    suspended: false,
+    buriedUntil: 0,
+    flag: null,
+    ...extra,
+  });
+
+  runner.describe('Sync packing', () => {
+    runner.it('should round-trip a record to the minute', () => {
+      const original = record('4:en-es', 1700000040000, { flag: 'red', scheduler: 'fsrs', stability: 4.12345, difficulty: 5.5 });
+      const restored = Sync.unpack('4:en-es', Sync.pack(original));
+
+      assert.equal(restored.lastReview, original.lastReview);
+      assert.equal(restored.flag, 'red');
+      assert.equal(restored.stability, 4.123);
+      assert.equal(restored.state, 'review');
+      assert.deepEqual(restored.failures, []);
+    });
+
+    runner.it('should leave off trailing empty fields', () => {
+      const packed = Sync.pack(record(1, 1700000000000));
+      assert.equal(packed.length, 13);
+    });
+  });
+
+  runner.describe('Sync.resolve', () => {
+    runner.it('should prefer the later review, then more reviews', () => {
+      const local = record(1, 1000 * minute);
+      const remote = record(1, 2000 * minute);
+
+      assert.equal(Sync.resolve(local, remote), remote);
+      assert.equal(Sync.resolve(remote, local), remote);
+      assert.equal(Sync.resolve(local, { ...local, totalReviews: 9 }).totalReviews, 9);
+    });
+
+    runner.it('should pick the same record from either side', () => {
+      const a = record(1, 1000 * minute, { interval: 3 });
+      const b = record(1, 1000 * minute, { interval: 8 });
+      assert.equal(Sync.resolve(a, b), Sync.resolve(b, a));
+    });
+
+    runner.it('should not pull back what was pushed', () => {
+      const local = record(1, 1700000012345);
+      const remote = Sync.decode(Sync.encode([local]).items);
+      assert.equal(Sync.merge([local], remote).length, 0);
+    });
+  });
+
+  runner.describe('Sync.merge', () => {
+    runner.it('should take newer and missing cards and keep local failures', () => {
+      const local = [record(1, 1000 * minute), record(2, 3000 * minute)];
+      const remote = new Map([
+        [1, Sync.unpack(1, Sync.pack(record(1, 2000 * minute, { interval: 15 })))],
+        [2, Sync.unpack(2, Sync.pack(record(2, 1000 * minute)))],
+        [3, Sync.unpack(3, Sync.pack(record(3, 1000 * minute)))],
+      ]);
+
+      const pulled = Sync.merge(local, remote);
+      assert.deepEqual(pulled.map(p => p.phraseId), [1, 3]);
+      assert.equal(pulled[0].interval, 15);
+      assert.equal(pulled[0].failures.length, 1);
+    });
+  });
+
+  runner.describe('Sync.plan', () => {
+    const local = [record(1, 1000 * minute)];
+    const remote = new Map([
+      [1, Sync.unpack(1, Sync.pack(record(1, 2000 * minute)))],
+      [2, Sync.unpack(2, Sync.pack(record(2, 2000 * minute)))],
+    ]);
+
+    runner.it('should not pull the synced copy back after a reset here', () => {
+      const plan = Sync.plan([], remote, 500, 100);
+      assert.deepEqual(plan.pulled, []);
+      assert.ok(!plan.clear);
+      assert.equal(plan.generation, 500);
+
+      const { items } = Sync.encode([], 0, plan.generation);
+      assert.equal(Sync.decode(items).size, 0);
+      assert.equal(items.syncMeta.generation, 500);
+    });
+
+    runner.it('should take the synced copy as it is after a reset elsewhere', () => {
+      const plan = Sync.plan(local, remote, 100, 500);
+      assert.ok(plan.clear);
+      assert.deepEqual(plan.pulled.map(p => p.phraseId), [1, 2]);
+      assert.equal(plan.generation, 500);
+    });
+
+    runner.it('should merge within a generation and on a first sync', () => {
+      assert.deepEqual(Sync.plan(local, remote, 100, 100).pulled.map(p => p.phraseId), [1, 2]);
+      assert.ok(!Sync.plan(local, remote, undefined, 500).clear);
+    });
+  });
+
+  runner.describe('Sync.encode', () => {
+    runner.it('should split into chunks within the item quota', () => {
+      const progress = [];
+      for (let id = 1; id <= 600; id++) progress.push(record(id, 1700000000000 + id * minute));
+      progress.push(record(601, 0, { totalReviews: 0, state: 'new' }));
+
+      const { items, synced, dropped } = Sync.encode(progress, 5);
+      const chunkKeys = Object.keys(items).filter(key => key !== 'syncMeta');
+
+      assert.equal(synced, 600);
+      assert.equal(dropped, 0);
+      assert.equal(items.syncMeta.chunks, chunkKeys.length);
+      assert.ok(chunkKeys.length > 1);
+      assert.ok(chunkKeys.every(key => key.length + JSON.stringify(items[key]).length <= 8192));
+      assert.equal(Sync.decode(items).size, 600);
+    });
+
+    runner.it('should drop the least recently reviewed cards over the total quota', () => {
+      const progress = [];
+      for (let id = 1; id <= 3000; id++) progress.push(record(id, 1700000000000 + id * minute));
+
+      const { items, synced, dropped } = Sync.encode(progress);
+      const size = Object.entries(items).reduce((sum, [key, value]) => sum + key.length + JSON.stringify(value).length, 0);
+
+      assert.equal(synced + dropped, 3000);
+      assert.ok(dropped > 0);
+      assert.ok(size <= 102400);
+      assert.ok(Sync.decode(items).has(3000));
+      assert.ok(!Sync.decode(items).has(1));
+    });
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { registerSyncTests };
+} else if (typeof window !== 'undefined') {
+  window.registerSyncTests = registerSyncTests;
+}